@@ -0,0 +1,596 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// Audio encoding
+// WebAudio buffers arrive as float samples. They can be written as WAV
+// (16/24-bit PCM or 32-bit IEEE float) or as FLAC (16/24-bit, lossless).
+// ============================================================================
+
+// Output formats for options.format
+const audioFormats = {
+  wav16: { container: 'wav', bitDepth: 16, float: false, extension: 'wav', mimeType: 'audio/wav' },
+  wav24: { container: 'wav', bitDepth: 24, float: false, extension: 'wav', mimeType: 'audio/wav' },
+  wav32f: { container: 'wav', bitDepth: 32, float: true, extension: 'wav', mimeType: 'audio/wav' },
+  flac16: { container: 'flac', bitDepth: 16, float: false, extension: 'flac', mimeType: 'audio/flac' },
+  flac24: { container: 'flac', bitDepth: 24, float: false, extension: 'flac', mimeType: 'audio/flac' },
+};
+
+// Largest absolute sample value over all channels
+function getPeak(audioData) {
+  let peak = 0;
+  for (let channel = 0; channel < audioData.numberOfChannels; channel++) {
+    const samples = audioData.channels[channel];
+    for (let i = 0; i < audioData.length; i++) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+    }
+  }
+  return peak;
+}
+
+// Triangular (TPDF) dither noise of +/-1 LSB
+// Uses a fixed-seed generator, so the same audio always encodes to the same
+// bytes and content-hash deduplication keeps working
+function createDither(bitDepth) {
+  let state = 0x9E3779B9;
+  const next = () => {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 0x100000000;
+  };
+  const lsb = 1 / Math.pow(2, bitDepth - 1);
+  return () => (next() - next()) * lsb;
+}
+
+// Convert a float sample to a signed integer of the given bit depth
+// Positive and negative ranges are scaled separately (as in the original
+// 16-bit encoder), out-of-range samples are clipped
+function quantize(sample, bitDepth, dither) {
+  let value = dither ? sample + dither() : sample;
+  value = Math.max(-1, Math.min(1, value));
+  const negativeScale = Math.pow(2, bitDepth - 1);
+  return Math.trunc(value < 0 ? value * negativeScale : value * (negativeScale - 1));
+}
+
+// Convert audio data to integer samples, one Int32Array per channel
+// Samples are quantized in interleaved order, like the WAV writer, so both
+// formats get the same dither noise and the same integer samples
+function toIntegerChannels(audioData, bitDepth, gain, dither) {
+  const channels = [];
+  for (let channel = 0; channel < audioData.numberOfChannels; channel++) {
+    channels.push(new Int32Array(audioData.length));
+  }
+  for (let i = 0; i < audioData.length; i++) {
+    for (let channel = 0; channel < audioData.numberOfChannels; channel++) {
+      channels[channel][i] = quantize(audioData.channels[channel][i] * gain, bitDepth, dither);
+    }
+  }
+  return channels;
+}
+
+// WAV header for `length` sample frames
+// options: { sampleRate, numberOfChannels, bitDepth: 16 | 24 | 32, float }
+function createWAVHeader(length, options) {
+  const numChannels = options.numberOfChannels;
+  const sampleRate = options.sampleRate;
+  const isFloat = options.float === true;
+  const bitDepth = isFloat ? 32 : (options.bitDepth || 16);
+  const bytesPerSample = bitDepth / 8;
+  
+  // Float WAV needs the extended fmt chunk (cbSize) and a fact chunk
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const dataSize = length * numChannels * bytesPerSample;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+  
+  const buffer = Buffer.alloc(headerSize);
+  
+  // WAV file header
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      buffer.writeUInt8(string.charCodeAt(i), offset + i);
+    }
+  };
+  
+  // RIFF header
+  writeString(0, 'RIFF');
+  buffer.writeUInt32LE(headerSize - 8 + dataSize, 4);
+  writeString(8, 'WAVE');
+  
+  // fmt chunk
+  writeString(12, 'fmt ');
+  buffer.writeUInt32LE(fmtSize, 16); // chunk size
+  buffer.writeUInt16LE(isFloat ? 3 : 1, 20); // audio format (1 = PCM, 3 = IEEE float)
+  buffer.writeUInt16LE(numChannels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * numChannels * bytesPerSample, 28); // byte rate
+  buffer.writeUInt16LE(numChannels * bytesPerSample, 32); // block align
+  buffer.writeUInt16LE(bitDepth, 34); // bits per sample
+  let offset = 36;
+  if (isFloat) {
+    buffer.writeUInt16LE(0, offset); // cbSize
+    offset += 2;
+    
+    // fact chunk: number of sample frames
+    writeString(offset, 'fact');
+    buffer.writeUInt32LE(4, offset + 4);
+    buffer.writeUInt32LE(length, offset + 8);
+    offset += 12;
+  }
+  
+  // data chunk
+  writeString(offset, 'data');
+  buffer.writeUInt32LE(dataSize, offset + 4);
+  
+  return buffer;
+}
+
+// Interleaved WAV sample data
+// dither: generator from createDither (integer formats), or null
+function encodePCM(audioData, bitDepth, isFloat, gain, dither) {
+  const numChannels = audioData.numberOfChannels;
+  const channels = audioData.channels;
+  const bytesPerSample = isFloat ? 4 : bitDepth / 8;
+  const buffer = Buffer.alloc(audioData.length * numChannels * bytesPerSample);
+  
+  let offset = 0;
+  for (let i = 0; i < audioData.length; i++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      const sample = channels[channel][i] * gain;
+      if (isFloat) {
+        buffer.writeFloatLE(sample, offset);
+      } else if (bitDepth === 24) {
+        buffer.writeIntLE(quantize(sample, 24, dither), offset, 3);
+      } else {
+        buffer.writeInt16LE(quantize(sample, 16, dither), offset);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  
+  return buffer;
+}
+
+// Convert audio data to WAV format
+// audioData: { sampleRate, length, numberOfChannels, channels: [Float32Array, ...] }
+// options: { bitDepth: 16 | 24 | 32, float, dither, gain }
+//   float - write 32-bit IEEE float samples (format tag 3), unclipped
+//   dither - add TPDF dither before quantizing (integer formats)
+//   gain - multiply samples first (used for normalization)
+function audioBufferToWAV(audioData, options = {}) {
+  const isFloat = options.float === true;
+  const bitDepth = isFloat ? 32 : (options.bitDepth || 16);
+  const dither = options.dither && !isFloat ? createDither(bitDepth) : null;
+  const header = createWAVHeader(audioData.length, {
+    sampleRate: audioData.sampleRate,
+    numberOfChannels: audioData.numberOfChannels,
+    bitDepth,
+    float: isFloat,
+  });
+  return Buffer.concat([header, encodePCM(audioData, bitDepth, isFloat, options.gain || 1, dither)]);
+}
+
+// Incremental WAV writer for recordings that grow chunk by chunk
+// options: { sampleRate, numberOfChannels, format, dither }
+//   format - one of audioFormats; FLAC formats record as WAV of the same bit depth
+// encode(audioData) returns the sample data of the next chunk, header() the
+// header for everything encoded so far (rewrite it at the start of the file)
+function createWAVRecorder(options) {
+  const format = audioFormats[options.format || 'wav16'];
+  if (!format) {
+    throw new Error(`Unknown audio format: ${options.format}`);
+  }
+  
+  const dither = options.dither && !format.float ? createDither(format.bitDepth) : null;
+  const headerOptions = {
+    sampleRate: options.sampleRate,
+    numberOfChannels: options.numberOfChannels,
+    bitDepth: format.bitDepth,
+    float: format.float,
+  };
+  let length = 0;
+  
+  return {
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    format: format.float ? 'wav32f' : `wav${format.bitDepth}`,
+    get length() {
+      return length;
+    },
+    header() {
+      return createWAVHeader(length, headerOptions);
+    },
+    encode(audioData) {
+      length += audioData.length;
+      return encodePCM(audioData, format.bitDepth, format.float, 1, dither);
+    },
+  };
+}
+
+// ============================================================================
+// FLAC encoder
+// Fixed block size, fixed linear predictors (order 0-4) with partitioned Rice
+// coding, independent channels. Simple, lossless and usually around half
+// the size of the equivalent PCM WAV.
+// ============================================================================
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 8;
+
+// Big-endian bit writer over a growable byte array
+class BitWriter {
+  constructor(initialSize = 65536) {
+    this.bytes = new Uint8Array(initialSize);
+    this.length = 0;
+    this.current = 0;
+    this.bitCount = 0;
+  }
+  
+  ensure(extraBytes) {
+    if (this.length + extraBytes <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extraBytes));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+  
+  // Write the low `count` bits of a non-negative value (count <= 32)
+  writeBits(value, count) {
+    for (let i = count - 1; i >= 0; i--) {
+      const bit = i >= 31 ? Math.floor(value / Math.pow(2, i)) & 1 : (value >>> i) & 1;
+      this.current = (this.current << 1) | bit;
+      if (++this.bitCount === 8) {
+        this.ensure(1);
+        this.bytes[this.length++] = this.current;
+        this.current = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+  
+  // Write a signed value as `count`-bit two's complement
+  writeSigned(value, count) {
+    this.writeBits(value < 0 ? value + Math.pow(2, count) : value, count);
+  }
+  
+  // Unary code: `count` zeros followed by a one
+  writeUnary(count) {
+    for (let i = 0; i < count; i++) {
+      this.writeBits(0, 1);
+    }
+    this.writeBits(1, 1);
+  }
+  
+  // Pad with zero bits up to the next byte boundary
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+  }
+  
+  // Bytes written so far (must be byte-aligned)
+  toBuffer() {
+    return Buffer.from(this.bytes.subarray(0, this.length));
+  }
+}
+
+// CRC-8, polynomial x^8 + x^2 + x + 1 (frame header)
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  return crc;
+}
+
+// CRC-16, polynomial x^16 + x^15 + x^2 + 1 (whole frame)
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i] << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+
+// Frame header sample rate: 4-bit code plus optional trailing value
+function flacSampleRateCode(sampleRate) {
+  const codes = { 88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11 };
+  if (codes[sampleRate]) {
+    return { code: codes[sampleRate] };
+  }
+  if (sampleRate % 1000 === 0 && sampleRate / 1000 <= 255) {
+    return { code: 12, bits: 8, value: sampleRate / 1000 };
+  }
+  if (sampleRate <= 0xFFFF) {
+    return { code: 13, bits: 16, value: sampleRate };
+  }
+  if (sampleRate % 10 === 0 && sampleRate / 10 <= 0xFFFF) {
+    return { code: 14, bits: 16, value: sampleRate / 10 };
+  }
+  // Taken from STREAMINFO
+  return { code: 0 };
+}
+
+// Write the frame number with FLAC's UTF-8-like variable length coding
+function writeFrameNumber(writer, number) {
+  if (number < 0x80) {
+    writer.writeBits(number, 8);
+    return;
+  }
+  let continuationBytes = 1;
+  while (number >= Math.pow(2, 6 + 5 * continuationBytes) && continuationBytes < 6) {
+    continuationBytes++;
+  }
+  const prefix = (0xFF00 >> (continuationBytes + 1)) & 0xFF;
+  writer.writeBits(prefix | Math.floor(number / Math.pow(2, 6 * continuationBytes)), 8);
+  for (let i = continuationBytes - 1; i >= 0; i--) {
+    writer.writeBits(0x80 | (Math.floor(number / Math.pow(2, 6 * i)) & 0x3F), 8);
+  }
+}
+
+// Residual of a fixed predictor of the given order
+function fixedResidual(samples, order) {
+  const residual = new Int32Array(samples.length - order);
+  for (let i = order; i < samples.length; i++) {
+    let prediction;
+    switch (order) {
+      case 0: prediction = 0; break;
+      case 1: prediction = samples[i - 1]; break;
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+      default: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+    }
+    residual[i - order] = samples[i] - prediction;
+  }
+  return residual;
+}
+
+// Choose the partition order and Rice parameters with the fewest bits
+// Sizes are estimated from each partition's sum (n * (k + 1) + sum / 2^k),
+// computed at the finest partition order and merged pairwise for coarser ones
+// Returns { bits, partitionOrder, parameters, folded }
+function planResidual(residual, blockSize, predictorOrder) {
+  // Zigzag: 0, -1, 1, -2, ... -> 0, 1, 2, 3, ...
+  const folded = new Float64Array(residual.length);
+  for (let i = 0; i < residual.length; i++) {
+    folded[i] = residual[i] >= 0 ? residual[i] * 2 : -residual[i] * 2 - 1;
+  }
+  
+  let maxOrder = 0;
+  while (maxOrder < FLAC_MAX_PARTITION_ORDER
+    && blockSize % (1 << (maxOrder + 1)) === 0
+    && (blockSize >> (maxOrder + 1)) > predictorOrder) {
+    maxOrder++;
+  }
+  
+  const partitionSize = blockSize >> maxOrder;
+  let sums = [];
+  let counts = [];
+  for (let p = 0, start = 0; p < (1 << maxOrder); p++) {
+    const end = start + partitionSize - (p === 0 ? predictorOrder : 0);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += folded[i];
+    sums.push(sum);
+    counts.push(end - start);
+    start = end;
+  }
+  
+  let best = null;
+  for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+    const parameters = [];
+    let bits = 0;
+    for (let p = 0; p < sums.length; p++) {
+      let bestK = 0;
+      let bestBits = Infinity;
+      for (let k = 0; k <= 30; k++) {
+        const estimate = counts[p] * (k + 1) + Math.floor(sums[p] / Math.pow(2, k));
+        if (estimate < bestBits) {
+          bestBits = estimate;
+          bestK = k;
+        }
+      }
+      parameters.push(bestK);
+      bits += bestBits;
+    }
+    bits += parameters.length * (Math.max(...parameters) > 14 ? 5 : 4);
+    if (!best || bits < best.bits) {
+      best = { bits, partitionOrder, parameters };
+    }
+    
+    // Merge neighbouring partitions for the next coarser order
+    const merged = [];
+    const mergedCounts = [];
+    for (let p = 0; p < sums.length; p += 2) {
+      merged.push(sums[p] + (sums[p + 1] || 0));
+      mergedCounts.push(counts[p] + (counts[p + 1] || 0));
+    }
+    sums = merged;
+    counts = mergedCounts;
+  }
+  
+  best.folded = folded;
+  return best;
+}
+
+// Write one channel of a frame as the smallest of CONSTANT, FIXED or VERBATIM
+function writeSubframe(writer, samples, bitDepth) {
+  const isConstant = samples.every(value => value === samples[0]);
+  if (isConstant) {
+    writer.writeBits(0x00, 8); // padding bit, type 000000, no wasted bits
+    writer.writeSigned(samples[0], bitDepth);
+    return;
+  }
+  
+  let best = null;
+  for (let order = 0; order <= Math.min(4, samples.length - 1); order++) {
+    const residual = fixedResidual(samples, order);
+    const plan = planResidual(residual, samples.length, order);
+    const bits = 8 + order * bitDepth + 6 + plan.bits;
+    if (!best || bits < best.bits) {
+      best = { bits, order, plan };
+    }
+  }
+  
+  const verbatimBits = 8 + samples.length * bitDepth;
+  if (verbatimBits <= best.bits) {
+    writer.writeBits(0x02, 8); // type 000001
+    samples.forEach(value => writer.writeSigned(value, bitDepth));
+    return;
+  }
+  
+  const { order, plan } = best;
+  writer.writeBits(0x10 | (order << 1), 8); // type 001xxx
+  for (let i = 0; i < order; i++) {
+    writer.writeSigned(samples[i], bitDepth);
+  }
+  
+  // Rice parameters above 14 need the 5-bit coding method
+  const parameterBits = Math.max(...plan.parameters) > 14 ? 5 : 4;
+  writer.writeBits(parameterBits === 5 ? 1 : 0, 2); // coding method
+  writer.writeBits(plan.partitionOrder, 4);
+  
+  const partitions = 1 << plan.partitionOrder;
+  const partitionSize = samples.length >> plan.partitionOrder;
+  let start = 0;
+  for (let p = 0; p < partitions; p++) {
+    const end = start + partitionSize - (p === 0 ? order : 0);
+    const k = plan.parameters[p];
+    writer.writeBits(k, parameterBits);
+    for (let i = start; i < end; i++) {
+      const value = plan.folded[i];
+      const quotient = Math.floor(value / Math.pow(2, k));
+      writer.writeUnary(quotient);
+      if (k > 0) {
+        writer.writeBits(value - quotient * Math.pow(2, k), k);
+      }
+    }
+    start = end;
+  }
+}
+
+// Convert audio data to FLAC format
+// audioData: { sampleRate, length, numberOfChannels, channels: [Float32Array, ...] }
+// options: { bitDepth: 16 | 24, dither, gain }
+function audioBufferToFLAC(audioData, options = {}) {
+  const numChannels = audioData.numberOfChannels;
+  const sampleRate = audioData.sampleRate;
+  const length = audioData.length;
+  const bitDepth = options.bitDepth === 24 ? 24 : 16;
+  const dither = options.dither ? createDither(bitDepth) : null;
+  const channels = toIntegerChannels(audioData, bitDepth, options.gain || 1, dither);
+  
+  if (numChannels < 1 || numChannels > 8) {
+    throw new Error(`FLAC supports 1 to 8 channels, got ${numChannels}`);
+  }
+  
+  // MD5 of the interleaved little-endian samples, stored in STREAMINFO
+  const bytesPerSample = bitDepth / 8;
+  const pcm = Buffer.alloc(length * numChannels * bytesPerSample);
+  let pcmOffset = 0;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      pcm.writeIntLE(channels[channel][i], pcmOffset, bytesPerSample);
+      pcmOffset += bytesPerSample;
+    }
+  }
+  const md5 = crypto.createHash('md5').update(pcm).digest();
+  
+  // Frames
+  const writer = new BitWriter();
+  const rate = flacSampleRateCode(sampleRate);
+  let minFrameSize = Infinity;
+  let maxFrameSize = 0;
+  
+  for (let frameNumber = 0, start = 0; start < length; frameNumber++, start += FLAC_BLOCK_SIZE) {
+    const blockSize = Math.min(FLAC_BLOCK_SIZE, length - start);
+    const frameStart = writer.length;
+    
+    // Frame header
+    writer.writeBits(0x3FFE, 14); // sync code
+    writer.writeBits(0, 1); // reserved
+    writer.writeBits(0, 1); // fixed block size
+    const blockSizeCode = blockSize === 4096 ? 12 : (blockSize <= 256 ? 6 : 7);
+    writer.writeBits(blockSizeCode, 4);
+    writer.writeBits(rate.code, 4);
+    writer.writeBits(numChannels - 1, 4); // independent channels
+    writer.writeBits(bitDepth === 24 ? 6 : 4, 3);
+    writer.writeBits(0, 1); // reserved
+    writeFrameNumber(writer, frameNumber);
+    if (blockSizeCode === 6) {
+      writer.writeBits(blockSize - 1, 8);
+    } else if (blockSizeCode === 7) {
+      writer.writeBits(blockSize - 1, 16);
+    }
+    if (rate.bits) {
+      writer.writeBits(rate.value, rate.bits);
+    }
+    writer.writeBits(crc8(writer.bytes, frameStart, writer.length), 8);
+    
+    // Subframes
+    for (let channel = 0; channel < numChannels; channel++) {
+      writeSubframe(writer, channels[channel].subarray(start, start + blockSize), bitDepth);
+    }
+    
+    // Frame footer
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.bytes, frameStart, writer.length), 16);
+    
+    const frameSize = writer.length - frameStart;
+    minFrameSize = Math.min(minFrameSize, frameSize);
+    maxFrameSize = Math.max(maxFrameSize, frameSize);
+  }
+  
+  // "fLaC" marker and STREAMINFO (the only, hence last, metadata block)
+  const header = new BitWriter(64);
+  header.writeBits(0x664C6143, 32);
+  header.writeBits(1, 1); // last metadata block
+  header.writeBits(0, 7); // STREAMINFO
+  header.writeBits(34, 24);
+  header.writeBits(FLAC_BLOCK_SIZE, 16); // min block size
+  header.writeBits(FLAC_BLOCK_SIZE, 16); // max block size
+  header.writeBits(length > 0 ? minFrameSize : 0, 24);
+  header.writeBits(maxFrameSize, 24);
+  header.writeBits(sampleRate, 20);
+  header.writeBits(numChannels - 1, 3);
+  header.writeBits(bitDepth - 1, 5);
+  header.writeBits(Math.floor(length / 0x10), 32); // total samples (36 bits)
+  header.writeBits(length & 0x0F, 4);
+  md5.forEach(byte => header.writeBits(byte, 8));
+  
+  return Buffer.concat([header.toBuffer(), writer.toBuffer()]);
+}
+
+// Encode audio data in one of audioFormats
+// options: { format, dither, normalize }
+//   normalize - scale so the loudest sample reaches full scale
+// Returns { buffer, extension, mimeType, peak }
+function encodeAudio(audioData, options = {}) {
+  const format = audioFormats[options.format || 'wav16'];
+  if (!format) {
+    throw new Error(`Unknown audio format: ${options.format}`);
+  }
+  
+  const peak = getPeak(audioData);
+  const gain = options.normalize && peak > 0 ? 1 / peak : 1;
+  const encoderOptions = { bitDepth: format.bitDepth, float: format.float, dither: options.dither === true, gain };
+  const buffer = format.container === 'flac'
+    ? audioBufferToFLAC(audioData, encoderOptions)
+    : audioBufferToWAV(audioData, encoderOptions);
+  
+  return { buffer, extension: format.extension, mimeType: format.mimeType, peak };
+}
+
+module.exports = {
+  audioFormats,
+  audioBufferToWAV,
+  audioBufferToFLAC,
+  encodeAudio,
+  createWAVRecorder,
+};
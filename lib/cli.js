@@ -0,0 +1,511 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { loadConfig, printHelp, printConfig } = require('./config');
+const { createExporter } = require('./exporter');
+
+// Process exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+const EXIT_NO_ASSETS = 2;
+const EXIT_NAVIGATION_FAILED = 3;
+
+// Shortest time a batch run gets to finish (final scan, saves, browser
+// close) once waiting is over, even when the hard timeout has passed
+const BATCH_SHUTDOWN_GRACE = 10000;
+
+// Convert local file path to file:// URL
+function normalizeURL(input) {
+  if (!input) {
+    return 'https://www.example.com';
+  }
+  
+  // If already a complete URL (http://, https://, file://), return directly
+  if (input.startsWith('http://') || input.startsWith('https://') || input.startsWith('file://')) {
+    return input;
+  }
+  
+  // Handle local file path
+  let filePath = input;
+  
+  // If relative path, convert to absolute path
+  if (!path.isAbsolute(filePath)) {
+    filePath = path.join(process.cwd(), filePath);
+  }
+  
+  // Check if file exists
+  if (!fs.existsSync(filePath)) {
+    console.warn(`Warning: File does not exist: ${filePath}`);
+    console.warn(`Trying to access with relative path...`);
+  }
+  
+  // Convert to file:// URL
+  // Windows paths need special handling
+  if (process.platform === 'win32') {
+    filePath = filePath.replace(/\\/g, '/');
+    if (!filePath.startsWith('/')) {
+      filePath = '/' + filePath;
+    }
+    return `file://${filePath}`;
+  } else {
+    return `file://${filePath}`;
+  }
+}
+
+// Filtered counts by reason for the status command, e.g. " (size 12, selector 3)"
+function describeFiltered(filteredBy) {
+  const parts = Object.keys(filteredBy)
+    .filter(reason => filteredBy[reason] > 0)
+    .map(reason => `${reason} ${filteredBy[reason]}`);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let loaded;
+  try {
+    loaded = loadConfig(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help to see available options');
+    process.exitCode = EXIT_ERROR;
+    return;
+  }
+  
+  if (loaded.help) {
+    printHelp();
+    return;
+  }
+  
+  const config = loaded.config;
+  
+  // Batch mode runs headless unless --headless was set explicitly
+  if (config.batch && loaded.sources.headless === 'default') {
+    config.headless = true;
+    loaded.sources.headless = 'batch';
+  }
+  
+  // Create output directory
+  if (!fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+  
+  const input = config.url;
+  const url = normalizeURL(input);
+  
+  console.log(`Input path: ${input}`);
+  console.log(`Accessing URL: ${url}`);
+  console.log(`Files will be saved to: ${config.outputDir}\n`);
+  
+  // Display configuration
+  printConfig(config, loaded.sources, loaded.configPath);
+  
+  const exporter = createExporter({ ...config, saveFiles: true });
+  const hasAnyFeatureEnabled = exporter.hasAnyFeatureEnabled();
+  
+  exporter.on('asset', (asset) => {
+    let type = asset.typeMismatch ? `${asset.mimeType} → ${asset.detectedMimeType}` : asset.mimeType;
+    if (asset.mimeType === 'application/octet-stream' && asset.detectedMimeType) {
+      type = asset.detectedMimeType;
+    }
+    console.log(`✓ Saved: ${asset.filename} (${type})`);
+  });
+  
+  exporter.on('audio', (audio) => {
+    const decodedFrom = audio.encodedFile ? `, decoded from ${audio.encodedFile}` : '';
+    console.log(`✓ Saved audio: ${audio.filename} (${audio.sampleRate}Hz, ${audio.numberOfChannels}ch, ${audio.duration.toFixed(2)}s${decodedFrom})`);
+    if (audio.clipped) {
+      console.log(`  Clipped: peak ${audio.peak.toFixed(2)} exceeds full scale, use --normalize or --audio-format wav32f to keep it`);
+    }
+  });
+  
+  exporter.on('recording', (recording) => {
+    if (recording.state === 'started') {
+      console.log(`● Recording ${recording.source} to ${recording.filename} (${recording.sampleRate}Hz, ${recording.numberOfChannels}ch)`);
+    } else {
+      console.log(`✓ Saved recording: ${recording.filename} (${recording.source}, ${recording.duration.toFixed(2)}s)`);
+    }
+  });
+  
+  exporter.on('stream', (stream) => {
+    const codecs = stream.codecs ? `, ${stream.codecs}` : '';
+    if (stream.state === 'started') {
+      console.log(`● Capturing stream to ${stream.filename} (${stream.mimeType}${codecs})`);
+    } else {
+      console.log(`✓ Saved stream: ${stream.filename} (${stream.mimeType}${codecs}, ${stream.segments} segments)`);
+      if (stream.incomplete) {
+        console.log(`  Incomplete: ${stream.skippedSegments} segments were skipped (--max-transfer-mb), the file may not play`);
+      }
+    }
+  });
+  
+  exporter.on('duplicate', (duplicate) => {
+    if (duplicate.reason === 'existing') {
+      console.log(`= Already have: ${duplicate.filename}`);
+    }
+  });
+  
+  exporter.on('rejected', (rejected) => {
+    const preview = rejected.dataURI.length > 60 ? `${rejected.dataURI.slice(0, 60)}...` : rejected.dataURI;
+    console.log(`✗ Rejected data URI (${rejected.reason}): ${preview}`);
+  });
+  
+  exporter.on('skipped', (skipped) => {
+    console.log(`✗ Skipped ${skipped.kind} from ${skipped.source} (${(skipped.size / 1024 / 1024).toFixed(1)} MB): ${skipped.reason}`);
+  });
+  
+  exporter.on('scan', (result) => {
+    if (result.trigger === 'load') {
+      console.log(`\nPage loaded, scan complete: found ${result.total} data URIs, ${result.new} new\n`);
+    } else if (result.trigger === 'periodic' && result.new > 0) {
+      console.log(`[Periodic Scan] Found ${result.new} new data URIs`);
+    }
+  });
+  
+  exporter.on('error', (error) => {
+    console.error(`✗ ${error.message}`);
+    // An invalid --selectors entry matches nothing, so stop instead of
+    // exporting a filtered-out page
+    if (error.context === 'selector') {
+      console.error('Run with --help to see available options');
+      cleanup().finally(() => process.exit(EXIT_ERROR));
+    }
+  });
+  
+  const browser = await puppeteer.launch({
+    headless: config.headless,
+    args: ['--disable-web-security', '--disable-features=IsolateOrigins,site-per-process']
+  });
+  
+  const page = await browser.newPage();
+  await exporter.attach(page);
+  
+  // Cleanup function
+  let isExiting = false;
+  let rl = null;
+  async function cleanup() {
+    if (isExiting) return;
+    isExiting = true;
+    
+    // Finish recordings while the page can still send its last chunks
+    if (exporter.isRecording) {
+      try {
+        await exporter.stopRecording();
+      } catch (error) {
+        console.error(`Stopping recording failed: ${error.message}`);
+      }
+    }
+    
+    // Let detach finish removing the page bindings and saving open streams
+    // before the browser goes away
+    exporter.detach();
+    await exporter.flush();
+    if (rl) {
+      rl.close();
+    }
+    
+    try {
+      if (browser && browser.isConnected()) {
+        await browser.close();
+      }
+    } catch (error) {
+      console.error('[DataURI Exporter] Browser close error:', error);
+    }
+  }
+  
+  // Listen to browser disconnection event
+  browser.on('disconnected', () => {
+    // Disconnection caused by our own cleanup is handled by the caller
+    if (isExiting) return;
+    console.log('\n\nBrowser closed detected, exiting...');
+    cleanup().then(() => {
+      console.log('Script stopped');
+      process.exit(config.batch ? EXIT_ERROR : EXIT_SUCCESS);
+    }).catch((error) => {
+      console.error(`Error during exit: ${error.message}`);
+      process.exit(EXIT_ERROR);
+    });
+  });
+  
+  // Listen to page close event
+  page.on('close', () => {
+    if (browser.isConnected()) {
+      console.log('\nPage closed');
+    }
+  });
+  
+  // Keep browser open
+  // An interrupted batch run did not finish, so it does not exit with success
+  process.on('SIGINT', async () => {
+    console.log('\n\nReceived exit signal, closing...');
+    await cleanup();
+    process.exit(config.batch ? EXIT_ERROR : EXIT_SUCCESS);
+  });
+  
+  // Handle other exit signals
+  process.on('SIGTERM', async () => {
+    console.log('\n\nReceived termination signal, closing...');
+    await cleanup();
+    process.exit(config.batch ? EXIT_ERROR : EXIT_SUCCESS);
+  });
+  
+  const startTime = Date.now();
+  // In batch mode navigation must also fit within the hard timeout
+  const navigationTimeout = config.batch ? Math.min(60000, config.timeout) : 60000;
+  let navigationFailed = false;
+  
+  try {
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: navigationTimeout });
+    // goto resolves on HTTP errors too; a 404 or 500 page is a failed navigation
+    if (response && !response.ok()) {
+      navigationFailed = true;
+      console.error(`Failed to access page: HTTP ${response.status()} ${response.statusText()}`.trim());
+    }
+  } catch (error) {
+    navigationFailed = true;
+    console.error(`Failed to access page: ${error.message}`);
+  }
+  
+  // Exit with an error if the steps after waiting do not finish within the
+  // rest of the hard timeout (at least BATCH_SHUTDOWN_GRACE); a page that
+  // never answers would otherwise keep the run alive forever
+  function startShutdownTimer() {
+    const remaining = Math.max(config.timeout - (Date.now() - startTime), BATCH_SHUTDOWN_GRACE);
+    return setTimeout(() => {
+      console.error(`Batch mode: shutdown did not finish within ${remaining} ms, exiting`);
+      process.exit(EXIT_ERROR);
+    }, remaining);
+  }
+  
+  // Run unattended: wait until idle or timeout, scan once more, flush and close
+  // Returns the process exit code
+  async function runBatch() {
+    if (navigationFailed) {
+      const shutdownTimer = startShutdownTimer();
+      await cleanup();
+      clearTimeout(shutdownTimer);
+      console.error('Batch mode: navigation failed, exiting');
+      return EXIT_NAVIGATION_FAILED;
+    }
+    
+    console.log(`\nBatch mode: waiting for ${config.idleTimeout} ms of inactivity (hard timeout ${config.timeout} ms)...`);
+    
+    exporter.startPeriodicScan(config.scanInterval);
+    
+    // Activity before navigation finished counts from the end of navigation
+    exporter.lastActivityTime = Math.max(exporter.lastActivityTime, Date.now());
+    let timedOut = false;
+    while (browser.isConnected()) {
+      const now = Date.now();
+      if (now - startTime >= config.timeout) {
+        timedOut = true;
+        break;
+      }
+      if (now - exporter.lastActivityTime >= config.idleTimeout) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    
+    exporter.stopPeriodicScan();
+    
+    if (timedOut) {
+      console.log('Batch mode: hard timeout reached');
+    }
+    const shutdownTimer = startShutdownTimer();
+    
+    // Final scan to pick up anything the periodic scan has not seen yet
+    if (hasAnyFeatureEnabled && browser.isConnected()) {
+      try {
+        const result = await exporter.scan('final');
+        console.log(`Final scan complete: ${result.total} data URIs total, ${result.new} new`);
+      } catch (error) {
+        console.error(`Final scan failed: ${error.message}`);
+      }
+    }
+    
+    // Screenshot canvases in their final state
+    if (config.captureCanvas && browser.isConnected()) {
+      try {
+        const result = await exporter.captureCanvases();
+        console.log(`Canvas capture complete: ${result.total} canvases, ${result.new} new`);
+      } catch (error) {
+        console.error(`Canvas capture failed: ${error.message}`);
+      }
+    }
+    
+    // Finish live recordings (--record)
+    if (exporter.isRecording) {
+      try {
+        const recordings = await exporter.stopRecording();
+        console.log(`Recording stopped: ${recordings.length} recordings saved`);
+      } catch (error) {
+        console.error(`Stopping recording failed: ${error.message}`);
+      }
+    }
+    
+    // Flush in-flight saves
+    await exporter.flush();
+    
+    await cleanup();
+    clearTimeout(shutdownTimer);
+    
+    const savedCount = exporter.stats.saved;
+    const existingCount = exporter.stats.existing;
+    console.log(`\nBatch mode finished: ${savedCount} files saved to ${config.outputDir}, ${existingCount} already exported, ${exporter.stats.filtered} filtered out`);
+    if (savedCount === 0 && existingCount === 0) {
+      console.log('No assets found');
+      return EXIT_NO_ASSETS;
+    }
+    return EXIT_SUCCESS;
+  }
+  
+  if (config.batch) {
+    process.exitCode = await runBatch();
+    return;
+  }
+  
+  // Wait for user operations
+  console.log('\n═══════════════════════════════════════════════════');
+  console.log('Page loaded successfully!');
+  console.log('You can now operate the page in the browser (click, scroll, input, etc.)');
+  console.log('Script will continuously monitor and save all data URI resources');
+  console.log('═══════════════════════════════════════════════════\n');
+  
+  // Start periodic scanning
+  exporter.startPeriodicScan(config.scanInterval);
+  
+  // Provide interactive commands
+  console.log('Available commands:');
+  console.log('  - Press Enter: Scan page immediately');
+  console.log('  - Type "scan": Scan page immediately');
+  console.log('  - Type "stop": Stop periodic scanning');
+  console.log('  - Type "start": Start periodic scanning');
+  console.log('  - Type "canvas": Capture all canvases as PNG');
+  console.log('  - Type "record": Start recording live audio');
+  console.log('  - Type "record stop": Stop recording and save the recordings');
+  console.log('  - Type "status": View current status');
+  console.log('  - Press Ctrl+C: Exit program\n');
+  
+  // Set up standard input listener
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  
+  rl.on('line', async (input) => {
+    // If browser is closed, don't process commands
+    if (!browser.isConnected()) {
+      return;
+    }
+    
+    const command = input.trim().toLowerCase().replace(/\s+/g, ' ');
+    
+    switch (command) {
+      case '':
+      case 'scan':
+        if (browser.isConnected()) {
+          if (hasAnyFeatureEnabled) {
+            console.log('\nScanning page...');
+            try {
+              const result = await exporter.scan();
+              console.log(`Scan complete: ${result.total} data URIs total, ${result.new} new\n`);
+            } catch (error) {
+              console.error(`Scan failed: ${error.message}\n`);
+            }
+          } else {
+            console.log('All features are disabled. Enable at least one feature to use scanning.\n');
+          }
+        } else {
+          console.log('Browser is closed, cannot scan\n');
+        }
+        break;
+      
+      case 'stop':
+        exporter.stopPeriodicScan();
+        console.log('Periodic scanning stopped\n');
+        break;
+      
+      case 'start':
+        if (browser.isConnected()) {
+          if (hasAnyFeatureEnabled) {
+            exporter.startPeriodicScan(config.scanInterval);
+            console.log(`Periodic scanning started (every ${config.scanInterval} ms)\n`);
+          } else {
+            console.log('All features are disabled. Enable at least one feature to use scanning.\n');
+          }
+        } else {
+          console.log('Browser is closed, cannot start scanning\n');
+        }
+        break;
+      
+      case 'canvas':
+        if (browser.isConnected()) {
+          console.log('\nCapturing canvases...');
+          try {
+            const result = await exporter.captureCanvases();
+            console.log(`Canvas capture complete: ${result.total} canvases, ${result.new} new\n`);
+          } catch (error) {
+            console.error(`Canvas capture failed: ${error.message}\n`);
+          }
+        } else {
+          console.log('Browser is closed, cannot capture canvases\n');
+        }
+        break;
+      
+      case 'record':
+        if (browser.isConnected()) {
+          try {
+            const sources = await exporter.startRecording();
+            console.log(`Recording started (${sources} sources so far; new audio contexts and playing media are added as they appear)\n`);
+          } catch (error) {
+            console.error(`Starting recording failed: ${error.message}\n`);
+          }
+        } else {
+          console.log('Browser is closed, cannot record\n');
+        }
+        break;
+      
+      case 'record stop':
+        if (exporter.isRecording) {
+          console.log('\nStopping recording...');
+          try {
+            const recordings = await exporter.stopRecording();
+            console.log(`Recording stopped: ${recordings.length} recordings saved\n`);
+          } catch (error) {
+            console.error(`Stopping recording failed: ${error.message}\n`);
+          }
+        } else {
+          console.log('Not recording\n');
+        }
+        break;
+      
+      case 'status':
+        console.log(`\nCurrent status:`);
+        console.log(`  - Files saved: ${exporter.stats.saved}`);
+        console.log(`  - Already have: ${exporter.stats.existing}`);
+        console.log(`  - Rejected data URIs: ${exporter.stats.rejected}`);
+        console.log(`  - Skipped (too large): ${exporter.stats.skipped}`);
+        console.log(`  - Filtered out: ${exporter.stats.filtered}${describeFiltered(exporter.filteredBy)}`);
+        console.log(`  - Periodic scan: ${exporter.isScanning ? 'Running' : 'Stopped'}`);
+        console.log(`  - Recording: ${exporter.isRecording ? 'On' : 'Off'} (${exporter.recordings.size} files in progress)`);
+        console.log(`  - Browser status: ${browser.isConnected() ? 'Connected' : 'Disconnected'}`);
+        console.log(`  - Output directory: ${config.outputDir}\n`);
+        break;
+      
+      default:
+        if (command) {
+          console.log(`Unknown command: ${command}\n`);
+        }
+    }
+  });
+}
+
+module.exports = {
+  EXIT_SUCCESS,
+  EXIT_ERROR,
+  EXIT_NO_ASSETS,
+  EXIT_NAVIGATION_FAILED,
+  normalizeURL,
+  main,
+};
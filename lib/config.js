@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { templateTokens, validateTemplate } = require('./filename');
+
+// ============================================================================
+// Configuration
+// Every option can be set from the command line (see --help) or from an
+// optional exporter.config.json / exporter.config.js file.
+// Precedence: command-line flags > config file > defaults below.
+// ============================================================================
+
+// Puppeteer resource types accepted by --network-types
+const networkResourceTypes = ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'manifest', 'other'];
+
+// Option definitions: key is the config property, flag is the CLI name
+// Types: boolean, number, path, string (with optional choices) and list
+// (comma-separated on the command line, an array in config files)
+// min: smallest accepted number (numbers must be positive without it)
+// validate: optional check of a string value, throws on invalid values
+const configOptions = [
+  // Network interception
+  { key: 'interceptRequest', flag: 'request', type: 'boolean', default: true, section: 'Network', label: 'Request interception', feature: true },
+  { key: 'interceptResponse', flag: 'response', type: 'boolean', default: true, section: 'Network', label: 'Response interception', feature: true },
+  { key: 'scanResponseBodies', flag: 'response-bodies', type: 'boolean', default: false, section: 'Network', label: 'Data URIs and base64 in CSS/JS/JSON/HTML bodies', feature: true },
+  
+  // Regular network resources (opt-in; empty lists match everything)
+  { key: 'includeNetwork', flag: 'include-network', type: 'boolean', default: false, section: 'Network Resources', label: 'Save network resources', feature: true },
+  { key: 'networkTypes', flag: 'network-types', type: 'list', choices: networkResourceTypes, default: ['image', 'font', 'media'], section: 'Network Resources', label: 'Resource types' },
+  { key: 'networkMimeTypes', flag: 'network-mime', type: 'list', default: [], section: 'Network Resources', label: 'MIME types (e.g. image/*)' },
+  { key: 'networkDomains', flag: 'network-domains', type: 'list', default: [], section: 'Network Resources', label: 'Domains, including subdomains' },
+  
+  // API interception
+  { key: 'interceptFetch', flag: 'fetch', type: 'boolean', default: true, section: 'API Interception', label: 'Fetch', feature: true },
+  { key: 'interceptXHR', flag: 'xhr', type: 'boolean', default: true, section: 'API Interception', label: 'XMLHttpRequest', feature: true },
+  { key: 'interceptBlobs', flag: 'blob', type: 'boolean', default: true, section: 'API Interception', label: 'Blob / object URLs', feature: true },
+  { key: 'interceptLoaders', flag: 'loaders', type: 'boolean', default: true, section: 'API Interception', label: 'Image/Audio/FontFace/stylesheet loaders', feature: true },
+  { key: 'interceptMediaSource', flag: 'mse', type: 'boolean', default: true, section: 'API Interception', label: 'Media Source Extensions streams', feature: true },
+  { key: 'interceptMessages', flag: 'messages', type: 'boolean', default: true, section: 'API Interception', label: 'WebSocket/EventSource/postMessage payloads', feature: true },
+  
+  // WebAudio interception
+  { key: 'interceptAudioContext', flag: 'audio-context', type: 'boolean', default: true, section: 'WebAudio', label: 'AudioContext', feature: true },
+  { key: 'interceptDecodeAudioData', flag: 'decode-audio-data', type: 'boolean', default: true, section: 'WebAudio', label: 'decodeAudioData', feature: true },
+  { key: 'interceptCreateBuffer', flag: 'create-buffer', type: 'boolean', default: true, section: 'WebAudio', label: 'createBuffer', feature: true },
+  { key: 'interceptCreateBufferSource', flag: 'create-buffer-source', type: 'boolean', default: true, section: 'WebAudio', label: 'createBufferSource', feature: true },
+  { key: 'interceptCreateScriptProcessor', flag: 'create-script-processor', type: 'boolean', default: true, section: 'WebAudio', label: 'createScriptProcessor', feature: true },
+  { key: 'interceptOfflineAudioContext', flag: 'offline-audio-context', type: 'boolean', default: true, section: 'WebAudio', label: 'OfflineAudioContext', feature: true },
+  { key: 'audioFormat', flag: 'audio-format', type: 'string', choices: ['wav16', 'wav24', 'wav32f', 'flac16', 'flac24'], default: 'wav16', section: 'WebAudio', label: 'Audio output format' },
+  { key: 'audioDither', flag: 'dither', type: 'boolean', default: false, section: 'WebAudio', label: 'Dither integer audio output' },
+  { key: 'audioNormalize', flag: 'normalize', type: 'boolean', default: false, section: 'WebAudio', label: 'Peak-normalize audio' },
+  { key: 'saveDecodedAudio', flag: 'decoded-audio', type: 'boolean', default: false, section: 'WebAudio', label: 'Also save decodeAudioData output as WAV' },
+  
+  // Recording of live audio (see also the REPL's record command)
+  { key: 'recordAudio', flag: 'record', type: 'boolean', default: false, section: 'Recording', label: 'Record live audio from page load' },
+  { key: 'recordMedia', flag: 'record-media', type: 'boolean', default: true, section: 'Recording', label: 'Record <audio>/<video> elements' },
+  
+  // Page to Node.js transfer
+  { key: 'maxTransferMB', flag: 'max-transfer-mb', type: 'number', min: 0, default: 256, section: 'Transfer', label: 'Max transfer size in MB (0 = no limit)' },
+  
+  // Canvas capture (opt-in; never requests a context from the page's canvases)
+  { key: 'captureCanvas', flag: 'canvas', type: 'boolean', default: false, section: 'Canvas', label: 'Canvas exports and screenshots', feature: true },
+  { key: 'captureTextures', flag: 'textures', type: 'boolean', default: false, section: 'Canvas', label: 'WebGL texture uploads', feature: true },
+  
+  // Asset filters (! excludes; see lib/filters.js)
+  { key: 'mimeFilter', flag: 'mime', type: 'list', default: [], section: 'Filters', label: 'MIME type globs (image/*, !image/gif)' },
+  { key: 'minSize', flag: 'min-size', type: 'number', min: 0, default: 0, section: 'Filters', label: 'Min size in bytes (0 = no limit)' },
+  { key: 'maxSize', flag: 'max-size', type: 'number', min: 0, default: 0, section: 'Filters', label: 'Max size in bytes (0 = no limit)' },
+  { key: 'originFilter', flag: 'origins', type: 'list', default: [], section: 'Filters', label: 'Hosts or URL globs (example.com, !*.ads.net)' },
+  { key: 'selectorFilter', flag: 'selectors', type: 'list', default: [], section: 'Filters', label: 'CSS selectors (#gallery, !.ads *)' },
+  
+  // DOM monitoring
+  { key: 'useMutationObserver', flag: 'observer', type: 'boolean', default: true, section: 'DOM Monitoring', label: 'MutationObserver', feature: true },
+  
+  // Periodic scanning
+  { key: 'enablePeriodicScan', flag: 'periodic-scan', type: 'boolean', default: true, section: 'Scanning', label: 'Periodic scan', feature: true },
+  { key: 'scanInterval', flag: 'scan-interval', type: 'number', default: 2000, section: 'Scanning', label: 'Scan interval (ms)' },
+  
+  // Batch mode (unattended, exits when done)
+  { key: 'batch', flag: 'batch', type: 'boolean', default: false, section: 'Batch Mode', label: 'Batch mode' },
+  { key: 'headless', flag: 'headless', type: 'boolean', default: false, section: 'Batch Mode', label: 'Headless browser' },
+  { key: 'idleTimeout', flag: 'idle-timeout', type: 'number', default: 5000, section: 'Batch Mode', label: 'Idle timeout (ms)' },
+  { key: 'timeout', flag: 'timeout', type: 'number', default: 120000, section: 'Batch Mode', label: 'Hard timeout (ms)' },
+  
+  // Input / output
+  { key: 'url', flag: 'url', type: 'string', default: 'document2.html', section: 'Input/Output', label: 'Input' },
+  { key: 'outputDir', flag: 'out', type: 'path', default: path.join(process.cwd(), 'exported_files'), section: 'Input/Output', label: 'Output directory' },
+  { key: 'naming', flag: 'name', type: 'string', choices: ['index', 'hash'], default: 'index', section: 'Input/Output', label: 'File naming' },
+  { key: 'nameTemplate', flag: 'template', type: 'string', default: '', validate: validateTemplate, section: 'Input/Output', label: 'File name template ({host}/{type}/{hash8}.{ext})' },
+  { key: 'skipExisting', flag: 'skip-existing', type: 'boolean', default: true, section: 'Input/Output', label: 'Skip assets exported in earlier runs' },
+  { key: 'manifest', flag: 'manifest', type: 'boolean', default: true, section: 'Input/Output', label: 'Manifest (manifest.ndjson)' },
+];
+
+// Shorthand flags that switch a whole group of options (e.g. --no-audio)
+const configGroups = {
+  network: ['interceptRequest', 'interceptResponse'],
+  api: ['interceptFetch', 'interceptXHR', 'interceptBlobs', 'interceptLoaders', 'interceptMediaSource', 'interceptMessages'],
+  audio: [
+    'interceptAudioContext',
+    'interceptDecodeAudioData',
+    'interceptCreateBuffer',
+    'interceptCreateBufferSource',
+    'interceptCreateScriptProcessor',
+    'interceptOfflineAudioContext',
+  ],
+};
+
+// Config files looked up in the working directory when --config is not given
+const defaultConfigFiles = ['exporter.config.json', 'exporter.config.js'];
+
+// Convert a raw option value (from CLI or config file) to the option's type
+function coerceOptionValue(option, value, baseDir) {
+  switch (option.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === '1' || value === 'yes') return true;
+      if (value === 'false' || value === '0' || value === 'no') return false;
+      throw new Error(`Invalid value for ${option.flag}: expected true/false, got "${value}"`);
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) {
+        throw new Error(`Invalid value for ${option.flag}: expected a number, got "${value}"`);
+      }
+      if (option.min !== undefined ? number < option.min : number <= 0) {
+        const expected = option.min !== undefined ? `a number of at least ${option.min}` : 'a positive number';
+        throw new Error(`Invalid value for ${option.flag}: expected ${expected}, got "${value}"`);
+      }
+      return number;
+    }
+    case 'list': {
+      const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : null);
+      if (!items || items.some(item => typeof item !== 'string')) {
+        throw new Error(`Invalid value for ${option.flag}: expected a comma-separated list`);
+      }
+      const list = items.map(item => item.trim()).filter(Boolean);
+      const invalid = option.choices && list.find(item => !option.choices.includes(item));
+      if (invalid) {
+        throw new Error(`Invalid value for ${option.flag}: expected any of ${option.choices.join(', ')}, got "${invalid}"`);
+      }
+      return list;
+    }
+    case 'path':
+      if (typeof value !== 'string' || !value) {
+        throw new Error(`Invalid value for ${option.flag}: expected a path`);
+      }
+      return path.resolve(baseDir, value);
+    default:
+      if (typeof value !== 'string' || !value) {
+        throw new Error(`Invalid value for ${option.flag}: expected a string`);
+      }
+      if (option.choices && !option.choices.includes(value)) {
+        throw new Error(`Invalid value for ${option.flag}: expected one of ${option.choices.join(', ')}, got "${value}"`);
+      }
+      if (option.validate) {
+        option.validate(value);
+      }
+      return value;
+  }
+}
+
+// Parse command-line arguments into { values, configFile, help }
+function parseArgs(argv) {
+  const optionsByFlag = new Map(configOptions.map(option => [option.flag, option]));
+  const values = {};
+  let configFile = null;
+  let help = false;
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (arg === '-h' || arg === '--help') {
+      help = true;
+      continue;
+    }
+    
+    // Positional argument: URL or local file path
+    if (!arg.startsWith('--')) {
+      values.url = arg;
+      continue;
+    }
+    
+    let name = arg.slice(2);
+    let inlineValue = null;
+    const equalsIndex = name.indexOf('=');
+    if (equalsIndex !== -1) {
+      inlineValue = name.slice(equalsIndex + 1);
+      name = name.slice(0, equalsIndex);
+    }
+    
+    const negated = name.startsWith('no-');
+    const baseName = negated ? name.slice(3) : name;
+    
+    if (name === 'config') {
+      configFile = inlineValue !== null ? inlineValue : argv[++i];
+      if (!configFile) {
+        throw new Error('Option --config requires a file path');
+      }
+      continue;
+    }
+    
+    // Group shorthand flags
+    if (configGroups[baseName]) {
+      const enabled = inlineValue !== null
+        ? coerceOptionValue({ flag: baseName, type: 'boolean' }, inlineValue) !== negated
+        : !negated;
+      configGroups[baseName].forEach((key) => {
+        values[key] = enabled;
+      });
+      continue;
+    }
+    
+    const option = optionsByFlag.get(baseName);
+    if (!option || (negated && option.type !== 'boolean')) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    
+    if (option.type === 'boolean') {
+      values[option.key] = inlineValue !== null
+        ? coerceOptionValue(option, inlineValue) !== negated
+        : !negated;
+      continue;
+    }
+    
+    const value = inlineValue !== null ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Option --${option.flag} requires a value`);
+    }
+    values[option.key] = coerceOptionValue(option, value, process.cwd());
+  }
+  
+  return { values, configFile, help };
+}
+
+// Locate and load the config file, returns { path, values } or null
+function loadConfigFile(explicitPath) {
+  let configPath = null;
+  
+  if (explicitPath) {
+    configPath = path.resolve(process.cwd(), explicitPath);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+  } else {
+    configPath = defaultConfigFiles
+      .map(name => path.join(process.cwd(), name))
+      .find(candidate => fs.existsSync(candidate)) || null;
+  }
+  
+  if (!configPath) {
+    return null;
+  }
+  
+  let raw;
+  try {
+    if (path.extname(configPath) === '.json') {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      raw = require(configPath);
+    }
+  } catch (error) {
+    throw new Error(`Failed to load config file ${configPath}: ${error.message}`);
+  }
+  
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Config file ${configPath} must export an object`);
+  }
+  
+  // Relative paths in the config file are resolved against the file's directory
+  const baseDir = path.dirname(configPath);
+  const optionsByKey = new Map(configOptions.map(option => [option.key, option]));
+  const values = {};
+  
+  // Apply group shorthands first so individual keys can override them
+  Object.keys(raw).filter(key => configGroups[key]).forEach((key) => {
+    const enabled = coerceOptionValue({ flag: key, type: 'boolean' }, raw[key]);
+    configGroups[key].forEach((groupKey) => {
+      values[groupKey] = enabled;
+    });
+  });
+  
+  Object.keys(raw).filter(key => !configGroups[key]).forEach((key) => {
+    const option = optionsByKey.get(key);
+    if (!option) {
+      console.warn(`Warning: Unknown option "${key}" in ${configPath}`);
+      return;
+    }
+    values[key] = coerceOptionValue(option, raw[key], baseDir);
+  });
+  
+  return { path: configPath, values };
+}
+
+// Default value of every option
+function getDefaultConfig() {
+  const config = {};
+  configOptions.forEach((option) => {
+    config[option.key] = Array.isArray(option.default) ? [...option.default] : option.default;
+  });
+  return config;
+}
+
+// Build the final configuration from defaults, config file and CLI flags
+// Returns { config, sources, configPath, help }
+function loadConfig(argv) {
+  const cli = parseArgs(argv);
+  const file = cli.help ? null : loadConfigFile(cli.configFile);
+  
+  const config = {};
+  const sources = {};
+  configOptions.forEach((option) => {
+    if (option.key in cli.values) {
+      config[option.key] = cli.values[option.key];
+      sources[option.key] = 'cli';
+    } else if (file && option.key in file.values) {
+      config[option.key] = file.values[option.key];
+      sources[option.key] = 'config file';
+    } else {
+      config[option.key] = Array.isArray(option.default) ? [...option.default] : option.default;
+      sources[option.key] = 'default';
+    }
+  });
+  
+  return { config, sources, configPath: file ? file.path : null, help: cli.help };
+}
+
+// Option value for display; an empty list matches everything
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(',') : 'any';
+  }
+  return value === '' ? 'none' : value;
+}
+
+// Print command-line usage
+function printHelp() {
+  const flagColumn = (option) => {
+    if (option.type === 'boolean') return `--[no-]${option.flag}`;
+    if (option.key === 'url') return '<url|file>';
+    if (option.type === 'list') return `--${option.flag} <a,b,...>`;
+    if (option.choices) return `--${option.flag} <${option.choices.join('|')}>`;
+    return `--${option.flag} <value>`;
+  };
+  
+  console.log('Usage: node index.js [url|file] [options]\n');
+  console.log('Options:');
+  configOptions.forEach((option) => {
+    const defaultValue = option.type === 'boolean' ? (option.default ? 'on' : 'off') : formatValue(option.default);
+    console.log(`  ${flagColumn(option).padEnd(32)} ${option.label} (default: ${defaultValue})`);
+  });
+  console.log('');
+  console.log('Group shorthands:');
+  Object.keys(configGroups).forEach((group) => {
+    console.log(`  ${`--[no-]${group}`.padEnd(32)} ${configGroups[group].join(', ')}`);
+  });
+  console.log('');
+  console.log(`  ${'--config <file>'.padEnd(32)} Config file (default: ${defaultConfigFiles.join(' or ')} in working directory)`);
+  console.log(`  ${'-h, --help'.padEnd(32)} Show this help`);
+  console.log('');
+  console.log(`Resource types for --network-types: ${networkResourceTypes.join(', ')}`);
+  console.log('');
+  console.log('Tokens for --template ({a|b} uses the first non-empty one, / creates directories):');
+  Object.keys(templateTokens).forEach((token) => {
+    console.log(`  ${`{${token}}`.padEnd(32)} ${templateTokens[token]}`);
+  });
+  console.log('');
+  console.log('Config file keys use the option names, e.g. { "interceptFetch": false, "scanInterval": 5000, "audio": false }');
+}
+
+// Print the effective configuration and where each value came from
+function printConfig(config, sources, configPath) {
+  console.log('Configuration:');
+  if (configPath) {
+    console.log(`  Config file: ${configPath}`);
+  }
+  let currentSection = null;
+  configOptions.forEach((option) => {
+    if (option.section !== currentSection) {
+      currentSection = option.section;
+      console.log(`  ${currentSection}:`);
+    }
+    const value = option.type === 'boolean' ? (config[option.key] ? '✓' : '✗') : formatValue(config[option.key]);
+    console.log(`    - ${option.label}: ${value} (${sources[option.key]})`);
+  });
+  console.log('');
+}
+
+module.exports = {
+  configOptions,
+  configGroups,
+  defaultConfigFiles,
+  parseArgs,
+  loadConfigFile,
+  loadConfig,
+  getDefaultConfig,
+  printHelp,
+  printConfig,
+};
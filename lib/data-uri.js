@@ -0,0 +1,219 @@
+// ============================================================================
+// Data URI helpers
+// ============================================================================
+
+// MIME type to file extension mapping
+const mimeToExtension = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+  'image/heic': 'heic',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/tiff': 'tif',
+  'image/ktx': 'ktx',
+  'image/ktx2': 'ktx2',
+  'image/vnd-ms.dds': 'dds',
+  'image/x-dds': 'dds',
+  'font/woff': 'woff',
+  'font/woff2': 'woff2',
+  'application/font-woff': 'woff',
+  'application/font-woff2': 'woff2',
+  'application/x-font-woff': 'woff',
+  'application/x-font-woff2': 'woff2',
+  'font/ttf': 'ttf',
+  'application/x-font-ttf': 'ttf',
+  'font/otf': 'otf',
+  'application/x-font-opentype': 'otf',
+  'font/collection': 'ttc',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'application/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/midi': 'mid',
+  'audio/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/ogg': 'ogv',
+  'video/quicktime': 'mov',
+  'video/x-matroska': 'mkv',
+  'video/x-msvideo': 'avi',
+  'video/mp2t': 'ts',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/gzip': 'gz',
+  'application/wasm': 'wasm',
+  'application/json': 'json',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'text/html': 'html',
+  'text/css': 'css',
+  'application/javascript': 'js',
+  'text/javascript': 'js',
+  'text/plain': 'txt',
+};
+
+// Decode percent-encoded text into bytes
+// Invalid escapes are kept literally, other characters are encoded as UTF-8
+function percentDecode(text) {
+  const encoded = Buffer.from(text, 'utf8');
+  if (!text.includes('%')) {
+    return encoded;
+  }
+  
+  // Decoding only shrinks the text, so the UTF-8 length is enough
+  const bytes = Buffer.allocUnsafe(encoded.length);
+  let length = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === 0x25 && i + 2 < encoded.length) {
+      const high = hexValue(encoded[i + 1]);
+      const low = hexValue(encoded[i + 2]);
+      if (high !== -1 && low !== -1) {
+        bytes[length++] = high * 16 + low;
+        i += 2;
+        continue;
+      }
+    }
+    bytes[length++] = encoded[i];
+  }
+  return bytes.subarray(0, length);
+}
+
+// Value of an ASCII hex digit byte, or -1
+function hexValue(byte) {
+  if (byte >= 0x30 && byte <= 0x39) return byte - 0x30;
+  if (byte >= 0x41 && byte <= 0x46) return byte - 0x37;
+  if (byte >= 0x61 && byte <= 0x66) return byte - 0x57;
+  return -1;
+}
+
+// Decode a parameter value: strip quotes and percent-encoding
+function decodeParameterValue(value) {
+  let result = value.trim();
+  if (result.length >= 2 && result.startsWith('"') && result.endsWith('"')) {
+    result = result.slice(1, -1);
+  }
+  try {
+    return decodeURIComponent(result);
+  } catch (e) {
+    return result;
+  }
+}
+
+// Parse data URI (RFC 2397)
+// data:[<mediatype>][;<param>=<value>]*[;base64],<data>
+// Returns { mimeType, parameters, isBase64, data } where data is a Buffer,
+// or { error } with the reason when the URI is rejected
+function parseDataURI(dataURI) {
+  if (typeof dataURI !== 'string' || !/^data:/i.test(dataURI)) {
+    return { error: 'not a data URI' };
+  }
+  
+  const commaIndex = dataURI.indexOf(',');
+  if (commaIndex === -1) {
+    return { error: 'missing comma separator' };
+  }
+  
+  const header = dataURI.slice(5, commaIndex);
+  const body = dataURI.slice(commaIndex + 1);
+  
+  const tokens = header.split(';').map(token => token.trim());
+  
+  // A trailing ";base64" selects base64 encoding
+  let isBase64 = false;
+  if (tokens.length > 1 && tokens[tokens.length - 1].toLowerCase() === 'base64') {
+    isBase64 = true;
+    tokens.pop();
+  }
+  
+  // First token is the media type; without one the default is text/plain;charset=US-ASCII
+  let mimeType = 'text/plain';
+  const parameters = {};
+  let hasMediaType = false;
+  if (tokens[0] && !tokens[0].includes('=')) {
+    if (!/^[^\s/]+\/[^\s/]+$/.test(tokens[0])) {
+      return { error: `invalid media type "${tokens[0]}"` };
+    }
+    mimeType = decodeParameterValue(tokens[0]).toLowerCase();
+    hasMediaType = true;
+    tokens.shift();
+  } else if (tokens[0] === '') {
+    tokens.shift();
+  }
+  
+  // Parameters without a value (data:image/svg+xml;utf8,...) are ignored,
+  // as browsers do
+  for (const token of tokens) {
+    const equalsIndex = token.indexOf('=');
+    if (equalsIndex <= 0) continue;
+    const name = token.slice(0, equalsIndex).trim().toLowerCase();
+    parameters[name] = decodeParameterValue(token.slice(equalsIndex + 1));
+  }
+  
+  if (!hasMediaType && mimeType === 'text/plain' && !parameters.charset) {
+    parameters.charset = 'US-ASCII';
+  }
+  
+  let data;
+  if (isBase64) {
+    // Allow whitespace and URL-safe alphabet, then validate
+    let encoded = percentDecode(body).toString('latin1')
+      .replace(/[\t\n\f\r ]/g, '')
+      .replace(/-/g, '+')
+      .replace(/_/g, '/');
+    
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded)) {
+      return { error: 'invalid base64 characters' };
+    }
+    encoded = encoded.replace(/=+$/, '');
+    if (encoded.length % 4 === 1) {
+      return { error: 'invalid base64 length' };
+    }
+    data = Buffer.from(encoded, 'base64');
+  } else {
+    data = percentDecode(body);
+  }
+  
+  return {
+    mimeType,
+    parameters,
+    isBase64,
+    data
+  };
+}
+
+// Get file extension from MIME type
+// Unlisted XML types (application/atom+xml, ...) are saved as .xml
+function getExtensionFromMime(mimeType) {
+  const type = mimeType.toLowerCase();
+  return mimeToExtension[type] || (type.endsWith('+xml') ? 'xml' : 'bin');
+}
+
+// Extract data URI from URL
+function extractDataURI(url) {
+  if (/^data:/i.test(url)) {
+    return url;
+  }
+  return null;
+}
+
+module.exports = {
+  mimeToExtension,
+  parseDataURI,
+  percentDecode,
+  getExtensionFromMime,
+  extractDataURI,
+};
@@ -0,0 +1,205 @@
+const { sniffFileType } = require('./file-type');
+
+// ============================================================================
+// Embedded payloads
+// Finds the data URIs and raw base64 files inlined in text responses (JS
+// bundles, JSON, CSS, HTML). Bodies are read as latin1, so string indexes are
+// byte offsets into the response.
+// ============================================================================
+
+// Shortest base64 run worth decoding (in characters, 192 bytes decoded)
+const MIN_BASE64_LENGTH = 256;
+
+// Fewest distinct characters in the first MIN_BASE64_LENGTH characters of a
+// run; fewer means a banner or separator (////, AAAA) rather than data
+const MIN_BASE64_VARIETY = 4;
+
+// Language of a scannable response body, or null for other types
+function bodyLanguage(mimeType) {
+  if (mimeType === 'text/css') {
+    return 'css';
+  }
+  if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml') {
+    return 'html';
+  }
+  if (/^(text|application)\/(x-)?(javascript|ecmascript|json)$/.test(mimeType) || mimeType.endsWith('+json')) {
+    return 'js';
+  }
+  return null;
+}
+
+// JavaScript string escapes (JSON escapes are a subset)
+const jsEscapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+function unescapeJS(text) {
+  return text.replace(/\\(?:u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2})|\r?\n|([\s\S]))/g, (match, codePoint, unit, byte, char) => {
+    if (codePoint) {
+      const code = parseInt(codePoint, 16);
+      return code > 0x10FFFF ? '\uFFFD' : String.fromCodePoint(code);
+    }
+    if (unit || byte) {
+      return String.fromCharCode(parseInt(unit || byte, 16));
+    }
+    if (char === undefined) {
+      return '';
+    }
+    return jsEscapes[char] || char;
+  });
+}
+
+// CSS escapes (same rules as collectDataURIs in lib/page-script.js)
+function unescapeCSS(text) {
+  return text.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|\n|([\s\S]))/g, (match, hex, char) => {
+    if (hex) {
+      const code = parseInt(hex, 16);
+      return code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF) ? '\uFFFD' : String.fromCodePoint(code);
+    }
+    return char || '';
+  });
+}
+
+// HTML character references that can appear in attribute values
+const htmlEntities = { amp: '&', quot: '"', apos: '\'', lt: '<', gt: '>' };
+function unescapeHTML(text) {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-fA-F]+)|(amp|quot|apos|lt|gt));/g, (match, decimal, hex, name) => {
+    if (name) {
+      return htmlEntities[name];
+    }
+    const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return code > 0x10FFFF ? '\uFFFD' : String.fromCodePoint(code);
+  });
+}
+
+// End of a quoted string starting at start: the next quote that is not
+// escaped, or -1 if the string is not closed
+function findClosingQuote(text, start, quote, allowNewlines) {
+  let index = start;
+  while (index < text.length) {
+    const end = text.indexOf(quote, index);
+    if (end === -1) {
+      return -1;
+    }
+    if (!allowNewlines && /[\r\n]/.test(text.slice(index, end))) {
+      return -1;
+    }
+    let backslashes = 0;
+    while (text[end - 1 - backslashes] === '\\') {
+      backslashes++;
+    }
+    if (backslashes % 2 === 0) {
+      return end;
+    }
+    index = end + 1;
+  }
+  return -1;
+}
+
+// Data URIs in a body, returns [{ dataURI, offset, end }]
+// The end of a URI is taken from the character before it: a quote ends at
+// the matching quote, url( at the closing parenthesis, anything else at the
+// first whitespace or delimiter. The mime type may be JSON-escaped (image\/png).
+function findDataURIs(text, language) {
+  const results = [];
+  const startPattern = /data:[a-z]+\\?\/[a-z0-9.+-]+[;,]/gi;
+  
+  let match;
+  while ((match = startPattern.exec(text)) !== null) {
+    const offset = match.index;
+    const before = text[offset - 1];
+    if (before && /[\w-]/.test(before)) {
+      continue;
+    }
+    
+    let end;
+    if (before === '"' || before === '\'' || before === '`') {
+      end = findClosingQuote(text, offset, before, language !== 'js' || before === '`');
+    } else if (before === '(') {
+      end = text.indexOf(')', offset);
+    } else {
+      const rest = /[^\s"'`<>()\\]*/y;
+      rest.lastIndex = offset;
+      rest.exec(text);
+      end = rest.lastIndex;
+    }
+    if (end === -1) {
+      continue;
+    }
+    startPattern.lastIndex = end;
+    
+    // Bodies are read as latin1; restore UTF-8 text before unescaping
+    let dataURI = Buffer.from(text.slice(offset, end), 'latin1').toString('utf8');
+    if (language === 'css') {
+      dataURI = unescapeCSS(dataURI);
+    } else if (language === 'html') {
+      dataURI = unescapeHTML(unescapeJS(dataURI));
+    } else {
+      dataURI = unescapeJS(dataURI);
+    }
+    dataURI = dataURI.trim();
+    
+    // Skip prefixes the code completes at run time ("data:image/png;base64," + data)
+    // and template literals with substitutions
+    const commaIndex = dataURI.indexOf(',');
+    if (commaIndex === -1 || commaIndex === dataURI.length - 1 || (before === '`' && dataURI.includes('${'))) {
+      continue;
+    }
+    
+    results.push({ dataURI, offset, end });
+  }
+  
+  return results;
+}
+
+// Raw base64 strings that decode to a known file type (see lib/file-type.js)
+// excluded: ranges already taken by data URIs
+// Returns [{ data, mimeType, offset }]
+function findBase64Payloads(text, excluded) {
+  const results = [];
+  const pattern = new RegExp(`(?:[A-Za-z0-9+]|\\\\?/){${MIN_BASE64_LENGTH},}={0,2}`, 'g');
+  
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const offset = match.index;
+    if (excluded.some(range => offset >= range.offset && offset < range.end)) {
+      continue;
+    }
+    
+    const base64 = match[0].replace(/\\\//g, '/');
+    if (base64.replace(/=+$/, '').length % 4 === 1) {
+      continue;
+    }
+    if (new Set(base64.slice(0, MIN_BASE64_LENGTH)).size < MIN_BASE64_VARIETY) {
+      continue;
+    }
+    const data = Buffer.from(base64, 'base64');
+    const detected = sniffFileType(data);
+    if (detected) {
+      results.push({ data, mimeType: detected.mimeType, offset });
+    }
+  }
+  
+  return results;
+}
+
+// Find the payloads embedded in a response body
+// Returns { dataURIs: [{ dataURI, offset }], payloads: [{ data, mimeType, offset }] },
+// or null when the MIME type is not a scannable text type
+function findEmbeddedPayloads(body, mimeType) {
+  const language = bodyLanguage(mimeType);
+  if (!language) {
+    return null;
+  }
+  
+  const text = body.toString('latin1');
+  const dataURIs = findDataURIs(text, language);
+  const payloads = findBase64Payloads(text, dataURIs);
+  
+  return {
+    dataURIs: dataURIs.map(({ dataURI, offset }) => ({ dataURI, offset })),
+    payloads,
+  };
+}
+
+module.exports = {
+  bodyLanguage,
+  findEmbeddedPayloads,
+};
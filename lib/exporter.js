@@ -0,0 +1,1632 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { configOptions, getDefaultConfig } = require('./config');
+const { parseDataURI, getExtensionFromMime, extractDataURI } = require('./data-uri');
+const { audioFormats, encodeAudio, createWAVRecorder } = require('./audio');
+const { sniffFileType } = require('./file-type');
+const { bodyLanguage, findEmbeddedPayloads } = require('./embedded');
+const { createAssetFilter, matchesMimeGlob } = require('./filters');
+const { validateTemplate, renderTemplate, templateValues } = require('./filename');
+const { textureToPNG, compressedTextureToFile } = require('./texture');
+const { pageScript, collectDataURIs } = require('./page-script');
+
+// ============================================================================
+// DataURIExporter
+// Attaches to Puppeteer pages, collects data URIs and WebAudio buffers and
+// reports them as events. Writing files is optional (options.saveFiles).
+// Every saved file is recorded in manifest.ndjson in the output directory
+// (options.manifest).
+//
+// Assets are deduplicated on the SHA-256 of their bytes. The hashes of saved
+// files are kept in .exporter-index.ndjson in the output directory, so later
+// runs skip assets that were already exported (options.skipExisting).
+//
+// Events:
+//   asset     { index, buffer, mimeType, detectedMimeType, typeMismatch, parameters, extension, dataURI, filename, filepath, ...provenance, page }
+//   audio     { index, buffer, mimeType, format, peak, clipped, sampleRate, length, numberOfChannels, duration, encodedFile, filename, filepath, ...provenance, page }
+//             encodedFile: the original file saved from decodeAudioData's input, if any
+//   duplicate { kind: 'asset' | 'audio', reason, dataURI, sha256, filename, page }
+//             reason: 'uri' (same data URI), 'buffer' (same audio buffer),
+//             'content' (same bytes this run) or 'existing' (earlier run)
+//   rejected  { dataURI, reason, source, page }
+//   recording { state: 'started', id, filename, source, sampleRate, numberOfChannels, page }
+//             { state: 'finished', id, ...same fields as audio }
+//             live audio recorded with startRecording() / options.recordAudio
+//   stream    { state: 'started', id, filename, mimeType, codecs, source, page }
+//             { state: 'finished', id, codecs, segments, incomplete, skippedSegments, ...same fields as asset }
+//             Media Source Extensions stream joined from its segments;
+//             incomplete when segments were skipped (options.maxTransferMB)
+//   filtered  { kind: 'asset' | 'audio', reason: 'mime' | 'size' | 'origin' | 'selector', mimeType, size, source, page }
+//             asset removed by the include/exclude filters (lib/filters.js),
+//             reported once per content; mimeType and size are null for
+//             selector rules, which are checked in the page
+//   skipped   { kind: 'audio' | 'blob' | 'dataURI' | 'recording' | 'segment' | 'texture' | 'message' | 'response body' | 'resource', size, reason, source, page }
+//             payload not transferred from the page, or response body not
+//             read (options.maxTransferMB)
+//   scan      { trigger: 'load' | 'periodic' | 'manual' | ..., total, new }
+//   error     Error (with optional error.context)
+//
+// provenance: { size, sha256, source, pageUrl, frameUrl, timestamp }
+// source is the detector that found the asset: request, response, network,
+// responseBody, responseBase64, fetch, xhr, webSocket, webSocketSend,
+// eventSource, postMessage, createObjectURL, Blob, File, imageSrc,
+// mediaSrc, Audio, FontFace, createImageBitmap, replace, replaceSync,
+// insertRule, toDataURL, toBlob, convertToBlob, canvas-screenshot,
+// texImage2D, texSubImage2D, compressedTexImage2D, compressedTexSubImage2D,
+// mediaSource, mutation, scan, periodic-scan, decodeAudioData,
+// createBuffer, bufferSource, startRendering, or for recordings
+// destination, scriptProcessor or captureStream
+// ============================================================================
+
+// Manifest file name, written into the output directory
+const MANIFEST_FILENAME = 'manifest.ndjson';
+// Persistent hash index file name, written into the output directory
+const INDEX_FILENAME = '.exporter-index.ndjson';
+// Body type assumed for scripts, stylesheets and documents served without a
+// scannable Content-Type (options.scanResponseBodies)
+const bodyResourceTypes = { script: 'text/javascript', stylesheet: 'text/css', document: 'text/html' };
+
+class DataURIExporter extends EventEmitter {
+  // options: any config option (see lib/config.js) plus
+  //   saveFiles - write assets to options.outputDir (default: true)
+  constructor(options = {}) {
+    super();
+    this.options = { ...getDefaultConfig(), saveFiles: true, ...options };
+    if (this.options.nameTemplate) {
+      validateTemplate(this.options.nameTemplate);
+    }
+    
+    this.browser = null;
+    this.pages = new Set();
+    this.fileIndex = 0;
+    this.stats = { saved: 0, duplicates: 0, existing: 0, rejected: 0, skipped: 0, filtered: 0, errors: 0 };
+    // Filtered assets by reason: mime, size, origin, selector
+    this.filteredBy = { mime: 0, size: 0, origin: 0, selector: 0 };
+    // Time of the last new asset, used for idle detection
+    this.lastActivityTime = Date.now();
+    
+    // Saved data URIs for deduplication
+    this.savedDataURIs = new Set();
+    // Data URIs that failed to parse
+    this.rejectedDataURIs = new Set();
+    // Hashes of the response bodies already scanned (options.scanResponseBodies)
+    this.scannedBodies = new Set();
+    // File names from URLs and templates reserved in this run
+    this.usedFilenames = new Set();
+    // Include/exclude rules (see lib/filters.js), and hashes of the assets
+    // they removed, so each is counted once
+    this.assetFilter = createAssetFilter(this.options);
+    this.filteredHashes = new Set();
+    // Saved audio buffers for deduplication
+    this.savedAudioBuffers = new Set();
+    // Content hash -> filename of everything saved in this run
+    this.savedHashes = new Map();
+    // Content hash -> filename from earlier runs, loaded on first use
+    this.existingIndex = null;
+    // decodeAudioData decode id -> content hash of the encoded input, used
+    // to link a decoded WAV to the original file
+    this.encodedAudio = new Map();
+    // In-flight operations, awaited by flush()
+    this.pendingTasks = new Set();
+    // Chunked transfers from pages in progress, by transfer id
+    this.transfers = new Map();
+    // Recordings in progress, by recording id
+    this.recordings = new Map();
+    // Media Source Extensions streams in progress, by stream id
+    this.streams = new Map();
+    this.isRecording = this.options.recordAudio === true;
+    
+    this.scanTimer = null;
+    this.pageListeners = new Map();
+    // Page -> { bindings, scriptId } installed by attachPage, removed by detachPage
+    this.pageInjections = new Map();
+    // Page -> removal of its injections still in progress
+    this.pageCleanups = new Map();
+    // options.selectorFilter entries the page could not parse, reported once
+    this.invalidSelectors = new Set();
+    this.onTargetCreated = null;
+  }
+  
+  // Whether at least one capture feature is enabled
+  hasAnyFeatureEnabled() {
+    return configOptions.some(option => option.feature && this.options[option.key] === true);
+  }
+  
+  // Attach to a Puppeteer Page or Browser
+  // A Browser attaches to all of its current pages and every page opened later
+  async attach(target) {
+    if (typeof target.pages === 'function' && typeof target.newPage === 'function') {
+      return this.attachBrowser(target);
+    }
+    return this.attachPage(target);
+  }
+  
+  async attachBrowser(browser) {
+    this.browser = browser;
+    
+    this.onTargetCreated = async (target) => {
+      if (target.type() !== 'page') return;
+      try {
+        const page = await target.page();
+        if (page) {
+          await this.attachPage(page);
+        }
+      } catch (error) {
+        this.reportError(error, 'attach');
+      }
+    };
+    browser.on('targetcreated', this.onTargetCreated);
+    
+    const pages = await browser.pages();
+    for (const page of pages) {
+      await this.attachPage(page);
+    }
+  }
+  
+  async attachPage(page) {
+    if (this.pages.has(page)) return;
+    this.pages.add(page);
+    
+    // A page attached again right after detachPage must lose its old
+    // bindings first, or exposing them again fails
+    if (this.pageCleanups.has(page)) {
+      await this.pageCleanups.get(page);
+    }
+    
+    const listeners = {};
+    this.pageListeners.set(page, listeners);
+    
+    // Selector rules (options.selectorFilter) need the element a data URI
+    // belongs to, which only the page script and the page scan know, so
+    // data URIs seen as requests and responses are left to them
+    const networkDataURIs = !((this.options.selectorFilter || []).length > 0 && this.hasAnyFeatureEnabled());
+    
+    // Listen to network requests
+    if (this.options.interceptRequest && networkDataURIs) {
+      listeners.request = (request) => {
+        const dataURI = extractDataURI(request.url());
+        if (dataURI) {
+          const frame = request.frame();
+          this.track(this.processDataURI(dataURI, { page, source: 'request', frameUrl: frame ? frame.url() : null }));
+        }
+      };
+    }
+    
+    // Listen to data URI in responses, to the data URIs and base64 files
+    // embedded in their bodies, and to regular network resources
+    if (this.options.interceptResponse || this.options.scanResponseBodies || this.options.includeNetwork) {
+      listeners.response = (response) => {
+        const dataURI = extractDataURI(response.url());
+        if (dataURI) {
+          if (this.options.interceptResponse && networkDataURIs) {
+            const frame = response.frame();
+            this.track(this.processDataURI(dataURI, { page, source: 'response', frameUrl: frame ? frame.url() : null }));
+          }
+          return;
+        }
+        if (this.options.scanResponseBodies) {
+          this.track(this.scanResponseBody(response, page));
+        }
+        if (this.options.includeNetwork) {
+          this.track(this.saveNetworkResource(response, page));
+        }
+      };
+    }
+    
+    if (this.hasAnyFeatureEnabled()) {
+      // After page loads, find all elements containing data URI
+      listeners.load = () => {
+        this.track(this.scanPage(page, 'scan').then((result) => {
+          this.emit('scan', { trigger: 'load', ...result });
+        }).catch((error) => {
+          this.reportError(error, 'scan');
+        }));
+        // Keep recording across navigations
+        if (this.isRecording && !this.options.recordAudio) {
+          this.track(this.startRecordingPage(page));
+        }
+      };
+      
+      listeners.close = () => {
+        this.detachPage(page);
+      };
+    }
+    
+    Object.keys(listeners).forEach((event) => {
+      page.on(event, listeners[event]);
+    });
+    
+    if (!this.hasAnyFeatureEnabled()) {
+      return;
+    }
+    
+    // Set callback functions to receive detected data URIs, and chunked
+    // audio, blobs and long data URIs, from the page
+    // info: { source, frameUrl } reported by the page script
+    const bindings = {
+      __onDataURIDetected: async (dataURI, info = {}) => {
+        await this.track(this.processDataURI(dataURI, { page, ...info }));
+      },
+      __onBinaryTransfer: async (message) => {
+        await this.handleTransfer(message, page);
+      },
+      // Data URIs and blob: URLs of elements outside options.selectorFilter
+      __onAssetFiltered: (info = {}) => {
+        this.filterAsset('asset', null, 'selector', { mimeType: null, size: null }, { page, ...info });
+      },
+      // Selectors the page cannot parse (every frame reports them)
+      __onInvalidSelector: ({ selector, message } = {}) => {
+        if (this.invalidSelectors.has(selector)) return;
+        this.invalidSelectors.add(selector);
+        this.reportError(new Error(`Invalid filter selector "${selector}": ${message}`), 'selector');
+      },
+    };
+    const injections = { bindings: [], scriptId: null };
+    this.pageInjections.set(page, injections);
+    for (const name of Object.keys(bindings)) {
+      await page.exposeFunction(name, bindings[name]);
+      injections.bindings.push(name);
+    }
+    
+    // Inject into future documents (in every frame), and into the frames
+    // that are already loaded
+    const script = await page.evaluateOnNewDocument(pageScript, this.options);
+    injections.scriptId = script ? script.identifier : null;
+    for (const frame of page.frames()) {
+      if (frame.detached || frame.url() === 'about:blank') continue;
+      try {
+        await frame.evaluate(pageScript, this.options);
+      } catch (error) {
+        this.reportError(error, 'inject');
+      }
+    }
+  }
+  
+  detachPage(page) {
+    const listeners = this.pageListeners.get(page);
+    if (listeners) {
+      Object.keys(listeners).forEach((event) => {
+        page.off(event, listeners[event]);
+      });
+    }
+    this.pageListeners.delete(page);
+    this.pages.delete(page);
+    
+    // Remove the bindings and the injected script, so the page can be
+    // attached again
+    const injections = this.pageInjections.get(page);
+    this.pageInjections.delete(page);
+    if (injections && !page.isClosed()) {
+      const cleanup = Promise.all([
+        ...injections.bindings.map(name => page.removeExposedFunction(name)),
+        ...(injections.scriptId ? [page.removeScriptToEvaluateOnNewDocument(injections.scriptId)] : []),
+      ]).catch((error) => {
+        // Nothing is left to remove from a page that closed meanwhile
+        if (!page.isClosed()) {
+          this.reportError(new Error(`Failed to remove page bindings: ${error.message}`), 'detach');
+        }
+      }).finally(() => {
+        this.pageCleanups.delete(page);
+      });
+      this.pageCleanups.set(page, cleanup);
+      this.track(cleanup);
+    }
+    
+    // Drop transfers the page will never finish, and finish its recordings
+    // and streams
+    this.transfers.forEach((transfer, id) => {
+      if (transfer.page === page) {
+        this.transfers.delete(id);
+      }
+    });
+    this.recordings.forEach((recording) => {
+      if (recording.page === page) {
+        this.track(this.finishRecording(recording));
+      }
+    });
+    this.streams.forEach((stream) => {
+      if (stream.page === page) {
+        this.track(this.finishStream(stream));
+      }
+    });
+  }
+  
+  // Stop listening to all pages and the browser
+  detach() {
+    this.stopPeriodicScan();
+    Array.from(this.pages).forEach(page => this.detachPage(page));
+    if (this.browser && this.onTargetCreated) {
+      this.browser.off('targetcreated', this.onTargetCreated);
+    }
+    this.browser = null;
+    this.onTargetCreated = null;
+  }
+  
+  // Scan a single page for data URIs, returns { total, new }
+  // Every frame is scanned on its own, so assets are tagged with their frame
+  async scanPage(page, source = 'scan') {
+    const result = { total: 0, new: 0 };
+    
+    for (const frame of page.frames()) {
+      if (frame.detached) continue;
+      
+      let found;
+      try {
+        found = await frame.evaluate(collectDataURIs, { withElements: true });
+      } catch (error) {
+        // Frames can navigate or go away while being scanned
+        if (frame === page.mainFrame()) throw error;
+        continue;
+      }
+      const context = { page, source, frameUrl: frame.url() };
+      
+      // Process found data URIs
+      result.total += found.length;
+      for (const { dataURI, element } of found) {
+        try {
+          const asset = await this.processDataURI(dataURI, element ? { ...context, element } : context);
+          if (asset) result.new++;
+        } catch (error) {
+          this.reportError(error, 'scan');
+        }
+      }
+    }
+    
+    return result;
+  }
+  
+  // Scan all attached pages, returns { total, new }
+  async scan(trigger = 'manual') {
+    const result = { total: 0, new: 0 };
+    for (const page of this.pages) {
+      if (page.isClosed()) continue;
+      const pageResult = await this.scanPage(page, trigger === 'periodic' ? 'periodic-scan' : 'scan');
+      result.total += pageResult.total;
+      result.new += pageResult.new;
+    }
+    this.emit('scan', { trigger, ...result });
+    return result;
+  }
+  
+  // Capture every canvas on a page as PNG, returns { total, new }
+  // Uses a screenshot clipped to the canvas element instead of toDataURL(),
+  // so no context is ever requested and WebGL/WebGPU canvases keep working
+  async captureCanvasPage(page) {
+    const result = { total: 0, new: 0 };
+    
+    for (const frame of page.frames()) {
+      if (frame.detached) continue;
+      
+      let handles;
+      try {
+        handles = await frame.$$('canvas');
+      } catch (error) {
+        if (frame === page.mainFrame()) throw error;
+        continue;
+      }
+      
+      for (let i = 0; i < handles.length; i++) {
+        const handle = handles[i];
+        try {
+          const box = await handle.boundingBox();
+          // Hidden or empty canvases have nothing to capture
+          if (!box || box.width < 1 || box.height < 1) continue;
+          
+          const canvas = await handle.evaluate(el => ({ id: el.id || null, width: el.width, height: el.height }));
+          const buffer = Buffer.from(await handle.screenshot({ type: 'png' }));
+          result.total++;
+          
+          const asset = await this.processBuffer(buffer, 'image/png', {
+            page,
+            source: 'canvas-screenshot',
+            frameUrl: frame.url(),
+            details: { canvasIndex: i, canvasId: canvas.id, canvasSize: `${canvas.width}x${canvas.height}` },
+          });
+          if (asset) result.new++;
+        } catch (error) {
+          this.reportError(new Error(`Failed to capture canvas #${i}: ${error.message}`), 'canvas');
+        } finally {
+          await handle.dispose().catch(() => {});
+        }
+      }
+    }
+    
+    return result;
+  }
+  
+  // Capture canvases on all attached pages, returns { total, new }
+  async captureCanvases() {
+    const result = { total: 0, new: 0 };
+    for (const page of this.pages) {
+      if (page.isClosed()) continue;
+      const pageResult = await this.track(this.captureCanvasPage(page));
+      result.total += pageResult.total;
+      result.new += pageResult.new;
+    }
+    return result;
+  }
+  
+  // Periodically scan pages (to capture dynamically loaded resources)
+  startPeriodicScan(intervalMs = this.options.scanInterval) {
+    if (!this.options.enablePeriodicScan || !this.hasAnyFeatureEnabled()) {
+      return false;
+    }
+    this.stopPeriodicScan();
+    this.scanTimer = setInterval(() => {
+      this.scan('periodic').catch((error) => {
+        this.reportError(error, 'periodic scan');
+      });
+    }, intervalMs);
+    return true;
+  }
+  
+  stopPeriodicScan() {
+    if (this.scanTimer) {
+      clearInterval(this.scanTimer);
+      this.scanTimer = null;
+    }
+  }
+  
+  get isScanning() {
+    return this.scanTimer !== null;
+  }
+  
+  // Decode a data URI and report it as an asset
+  // context: { page, source, frameUrl }
+  // Returns the asset, or null if it is invalid or a duplicate
+  async processDataURI(dataURI, context = {}) {
+    // Rejected URIs are only reported once
+    if (this.rejectedDataURIs.has(dataURI)) {
+      return null;
+    }
+    
+    const parsed = parseDataURI(dataURI);
+    if (parsed.error || parsed.data.length === 0) {
+      this.rejectDataURI(dataURI, parsed.error || 'empty payload', context);
+      return null;
+    }
+    
+    // Check if dataURI has been seen before
+    if (this.savedDataURIs.has(dataURI)) {
+      if (context.decodeId) {
+        this.encodedAudio.set(context.decodeId, hashBuffer(parsed.data));
+      }
+      this.stats.duplicates++;
+      this.emit('duplicate', { kind: 'asset', reason: 'uri', dataURI, sha256: null, filename: null, page: context.page || null });
+      return null;
+    }
+    this.savedDataURIs.add(dataURI);
+    
+    return this.processBuffer(parsed.data, parsed.mimeType, { ...context, dataURI, parameters: parsed.parameters });
+  }
+  
+  // Export the data URIs and raw base64 files embedded in a CSS, JS, JSON or
+  // HTML response body (see lib/embedded.js)
+  // Each asset records the response URL (sourceUrl) and its byte offset in the body
+  async scanResponseBody(response, page) {
+    const headers = response.headers();
+    let mimeType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!bodyLanguage(mimeType)) {
+      // Servers that send scripts and stylesheets as text/plain or octet-stream
+      mimeType = bodyResourceTypes[response.request().resourceType()];
+      if (!mimeType) {
+        return;
+      }
+    }
+    
+    const body = await this.readResponseBody(response, page, 'response body', 'responseBody');
+    if (!body) {
+      return;
+    }
+    const frame = response.frame();
+    const sourceUrl = response.url();
+    
+    // Bundles are served again on every navigation
+    const bodyHash = hashBuffer(body);
+    if (this.scannedBodies.has(bodyHash)) {
+      return;
+    }
+    this.scannedBodies.add(bodyHash);
+    
+    try {
+      const found = findEmbeddedPayloads(body, mimeType);
+      const context = { page, frameUrl: frame ? frame.url() : null };
+      for (const { dataURI, offset } of found.dataURIs) {
+        await this.processDataURI(dataURI, { ...context, source: 'responseBody', details: { sourceUrl, offset } });
+      }
+      for (const { data, mimeType: payloadType, offset } of found.payloads) {
+        await this.processBuffer(data, payloadType, { ...context, source: 'responseBase64', details: { sourceUrl, offset } });
+      }
+    } catch (error) {
+      this.reportError(error, 'response body');
+    }
+  }
+  
+  // Save a regular network resource that passes the network filters
+  // (options.includeNetwork), named after the last segment of its URL path
+  async saveNetworkResource(response, page) {
+    const mimeType = (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!this.matchesNetworkFilters(response, mimeType)) {
+      return;
+    }
+    
+    const body = await this.readResponseBody(response, page, 'resource', 'network');
+    if (!body || body.length === 0) {
+      return;
+    }
+    
+    const frame = response.frame();
+    const url = response.url();
+    await this.processBuffer(body, mimeType || 'application/octet-stream', {
+      page,
+      source: 'network',
+      frameUrl: frame ? frame.url() : null,
+      urlName: urlFilename(url),
+      details: { url },
+    });
+  }
+  
+  // Whether a response is a complete HTTP(S) resource of the resource types,
+  // MIME types and domains selected with --network-types, --network-mime and
+  // --network-domains (empty lists match everything)
+  matchesNetworkFilters(response, mimeType) {
+    let url;
+    try {
+      url = new URL(response.url());
+    } catch (error) {
+      return false;
+    }
+    // 206 is a byte range of a media file, 204 and redirects have no body
+    const status = response.status();
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || status < 200 || status > 299 || status === 204 || status === 206) {
+      return false;
+    }
+    
+    const { networkTypes, networkMimeTypes, networkDomains } = this.options;
+    if (networkTypes.length > 0 && !networkTypes.includes(response.request().resourceType())) {
+      return false;
+    }
+    if (networkMimeTypes.length > 0 && !networkMimeTypes.some(glob => matchesMimeGlob(mimeType, glob))) {
+      return false;
+    }
+    const host = url.hostname.toLowerCase();
+    if (networkDomains.length > 0 && !networkDomains.map(domain => domain.toLowerCase()).some(domain => host === domain || host.endsWith(`.${domain}`))) {
+      return false;
+    }
+    return true;
+  }
+  
+  // Body of a response, or null when it has none or is larger than
+  // options.maxTransferMB (reported as skipped)
+  async readResponseBody(response, page, kind, source) {
+    const limit = (this.options.maxTransferMB || 0) * 1024 * 1024;
+    const declaredSize = Number(response.headers()['content-length']) || 0;
+    if (limit && declaredSize > limit) {
+      this.skipTransfer(kind, declaredSize, 'larger than maxTransferMB', { page, source });
+      return null;
+    }
+    
+    let body;
+    try {
+      body = await response.buffer();
+    } catch (error) {
+      // Redirects, preflights and responses of pages that navigated away have no body
+      return null;
+    }
+    if (limit && body.length > limit) {
+      this.skipTransfer(kind, body.length, 'larger than maxTransferMB', { page, source });
+      return null;
+    }
+    return body;
+  }
+  
+  // Report raw bytes as an asset (data URIs, canvas captures, ...)
+  // context: { page, source, frameUrl, dataURI, parameters, blobUrl, decodeId, urlName, details }
+  // urlName: file name to keep (see createNamedFilename)
+  // element: naming hints of the element it was found on ({ id, alt, download, title })
+  // details: extra fields recorded in the asset and its manifest entry
+  // Returns the asset, or null if it is a duplicate or filtered out
+  async processBuffer(buffer, mimeType, context = {}) {
+    const dataURI = context.dataURI || null;
+    const parameters = context.parameters || {};
+    const details = context.details || {};
+    
+    try {
+      const sha256 = hashBuffer(buffer);
+      if (context.decodeId) {
+        this.encodedAudio.set(context.decodeId, sha256);
+      }
+      
+      // Trust the bytes over the declared MIME type
+      // application/octet-stream declares nothing, so it never mismatches,
+      // and generic XML does not override a specific XML type (image/svg+xml)
+      let detected = sniffFileType(buffer);
+      if (detected && detected.mimeType === 'application/xml' && /\+xml$/.test(mimeType)) {
+        detected = null;
+      }
+      const effectiveMimeType = detected ? detected.mimeType : mimeType;
+      const reason = this.assetFilter({ mimeType: effectiveMimeType, size: buffer.length, urls: this.assetURLs(context) });
+      if (reason) {
+        this.filterAsset('asset', sha256, reason, { mimeType: effectiveMimeType, size: buffer.length }, context);
+        return null;
+      }
+      
+      if (this.checkDuplicateContent('asset', sha256, dataURI, context)) {
+        return null;
+      }
+      
+      const declaredExtension = getExtensionFromMime(mimeType);
+      const extension = detected ? detected.extension : declaredExtension;
+      const typeMismatch = detected !== null && mimeType !== 'application/octet-stream' && !isCompatibleExtension(declaredExtension, detected.extension);
+      
+      const index = ++this.fileIndex;
+      let filename;
+      if (this.options.nameTemplate) {
+        filename = this.templateFilename('asset', index, extension, sha256, effectiveMimeType, context);
+      } else if (context.urlName) {
+        filename = this.createNamedFilename(context.urlName, extension, sha256);
+      } else {
+        filename = this.createFilename('file', index, extension, sha256);
+      }
+      
+      const asset = {
+        index,
+        buffer,
+        mimeType,
+        detectedMimeType: detected ? detected.mimeType : null,
+        typeMismatch,
+        parameters,
+        extension,
+        dataURI,
+        filename,
+        filepath: this.options.saveFiles ? this.writeFile(filename, buffer) : null,
+        ...this.describeProvenance(buffer, sha256, context),
+        ...details,
+        page: context.page || null,
+      };
+      
+      this.recordHash(sha256, filename);
+      this.writeManifestEntry('asset', asset, {
+        detectedMimeType: asset.detectedMimeType,
+        typeMismatch,
+        ...(Object.keys(asset.parameters).length > 0 ? { parameters: asset.parameters } : {}),
+        ...(context.blobUrl ? { blobUrl: context.blobUrl } : {}),
+        ...details,
+      });
+      this.markSaved();
+      this.emit('asset', asset);
+      return asset;
+    } catch (error) {
+      this.reportError(new Error(`Failed to save asset: ${error.message}`), 'asset');
+      return null;
+    }
+  }
+  
+  // Handle a message of a chunked transfer from the page script
+  // (begin, chunk, end or skip; see the transfer section in lib/page-script.js)
+  async handleTransfer(message, page) {
+    const maxBytes = (this.options.maxTransferMB || 0) * 1024 * 1024;
+    
+    switch (message && message.type) {
+      case 'begin':
+        if (maxBytes > 0 && message.size > maxBytes) {
+          this.skipTransfer(message.kind, message.size, 'larger than maxTransferMB', { page, ...message.info });
+          return;
+        }
+        this.transfers.set(message.id, {
+          page,
+          kind: message.kind,
+          size: message.size,
+          meta: message.meta || {},
+          info: message.info || {},
+          chunks: [],
+          received: 0,
+        });
+        return;
+      
+      case 'chunk': {
+        const transfer = this.transfers.get(message.id);
+        if (!transfer) return;
+        
+        // Long data URIs and text messages arrive as text, everything else as base64
+        const chunk = transfer.kind === 'dataURI' || transfer.meta.text ? String(message.data) : Buffer.from(message.data, 'base64');
+        transfer.received += chunk.length;
+        if (transfer.received > transfer.size) {
+          this.transfers.delete(message.id);
+          this.reportError(new Error(`Transfer ${message.id} exceeded its declared size of ${transfer.size} bytes`), 'transfer');
+          return;
+        }
+        transfer.chunks.push(chunk);
+        // A running transfer counts as activity for idle detection
+        this.lastActivityTime = Date.now();
+        return;
+      }
+      
+      case 'end': {
+        const transfer = this.transfers.get(message.id);
+        if (!transfer) return;
+        this.transfers.delete(message.id);
+        
+        if (transfer.received !== transfer.size) {
+          this.reportError(new Error(`Transfer ${message.id} incomplete: ${transfer.received} of ${transfer.size} bytes`), 'transfer');
+          return;
+        }
+        await this.track(this.completeTransfer(transfer, { page, ...transfer.info }));
+        return;
+      }
+      
+      case 'skip':
+        this.skipTransfer(message.kind, message.size, message.reason, { page, ...message.info });
+        return;
+      
+      default:
+        this.reportError(new Error(`Unknown transfer message: ${JSON.stringify(message && message.type)}`), 'transfer');
+    }
+  }
+  
+  // Process a completed transfer by kind
+  async completeTransfer(transfer, context) {
+    if (transfer.kind === 'dataURI') {
+      return this.processDataURI(transfer.chunks.join(''), context);
+    }
+    
+    if (transfer.kind === 'message') {
+      return this.processMessage(transfer.meta.text ? transfer.chunks.join('') : Buffer.concat(transfer.chunks), context);
+    }
+    
+    const bytes = Buffer.concat(transfer.chunks);
+    
+    if (transfer.kind === 'audio') {
+      return this.processAudioBuffer(toAudioData(bytes, transfer.meta), context);
+    }
+    
+    if (transfer.kind === 'recording') {
+      return this.appendRecording(transfer.meta, toAudioData(bytes, transfer.meta), context);
+    }
+    
+    if (transfer.kind === 'segment') {
+      return this.appendSegment(transfer.meta, bytes, context);
+    }
+    
+    if (transfer.kind === 'texture') {
+      return this.processTexture(transfer.meta, bytes, context);
+    }
+    
+    // Blob: its type without parameters is the declared MIME type
+    const mimeType = (transfer.meta.mimeType || '').split(';')[0].trim().toLowerCase() || 'application/octet-stream';
+    return this.processBuffer(bytes, mimeType, context);
+  }
+  
+  // Export the files in a WebSocket, EventSource or postMessage payload
+  // (see the message section in lib/page-script.js)
+  // Text is searched like a JSON response body, with the byte offset of each
+  // match recorded; binary payloads are saved when they are a known file type
+  async processMessage(payload, context) {
+    if (Buffer.isBuffer(payload)) {
+      const detected = sniffFileType(payload);
+      if (detected) {
+        await this.processBuffer(payload, detected.mimeType, context);
+      }
+      return;
+    }
+    
+    if (/^data:/i.test(payload)) {
+      await this.processDataURI(payload, context);
+      return;
+    }
+    
+    const details = context.details || {};
+    const found = findEmbeddedPayloads(Buffer.from(payload, 'utf8'), 'application/json');
+    for (const { dataURI, offset } of found.dataURIs) {
+      await this.processDataURI(dataURI, { ...context, details: { ...details, offset } });
+    }
+    for (const { data, mimeType, offset } of found.payloads) {
+      await this.processBuffer(data, mimeType, { ...context, details: { ...details, offset } });
+    }
+  }
+  
+  // Save a WebGL texture upload (see the texture section in lib/page-script.js)
+  // meta: { width, height, format, type, stride } for pixel data, encoded as PNG,
+  //       { width, height, internalFormat, compressed: true } for compressed
+  //       data, wrapped in DDS or KTX
+  async processTexture(meta, bytes, context) {
+    const hex = (value) => `0x${Number(value).toString(16).toUpperCase()}`;
+    const textureSize = `${meta.width}x${meta.height}`;
+    
+    try {
+      if (meta.compressed) {
+        const file = compressedTextureToFile(meta, bytes);
+        return this.processBuffer(file.buffer, file.mimeType, {
+          ...context,
+          details: { textureSize, glInternalFormat: hex(meta.internalFormat) },
+        });
+      }
+      
+      return this.processBuffer(textureToPNG(meta, bytes), 'image/png', {
+        ...context,
+        details: { textureSize, glFormat: hex(meta.format), glType: hex(meta.type) },
+      });
+    } catch (error) {
+      this.reportError(new Error(`Failed to save texture: ${error.message}`), 'texture');
+      return null;
+    }
+  }
+  
+  // ==========================================================================
+  // Recording
+  // Each recording source of a page (see the recording section in
+  // lib/page-script.js) becomes one WAV file that grows as chunks arrive.
+  // The header is rewritten after every chunk, so the file is playable while
+  // it is being recorded and after a crash. FLAC formats record as WAV of the
+  // same bit depth; normalization does not apply to recordings.
+  // ==========================================================================
+  
+  // Start recording live audio on all attached pages
+  // Returns the number of sources being recorded
+  async startRecording() {
+    this.isRecording = true;
+    let sources = 0;
+    for (const page of this.pages) {
+      if (page.isClosed()) continue;
+      sources += await this.startRecordingPage(page);
+    }
+    return sources;
+  }
+  
+  async startRecordingPage(page) {
+    let sources = 0;
+    for (const frame of page.frames()) {
+      if (frame.detached) continue;
+      try {
+        sources += await frame.evaluate(() => window.__exporterStartRecording ? window.__exporterStartRecording() : 0);
+      } catch (error) {
+        // Frames can navigate or go away
+        if (frame === page.mainFrame()) this.reportError(error, 'record');
+      }
+    }
+    return sources;
+  }
+  
+  // Stop recording, and finish the files once their last chunks are in
+  // Returns the finished recordings
+  async stopRecording() {
+    this.isRecording = false;
+    const finished = [];
+    const onRecording = (recording) => {
+      if (recording.state === 'finished') finished.push(recording);
+    };
+    this.on('recording', onRecording);
+    
+    try {
+      for (const page of this.pages) {
+        if (page.isClosed()) continue;
+        for (const frame of page.frames()) {
+          if (frame.detached) continue;
+          try {
+            await frame.evaluate(() => window.__exporterStopRecording ? window.__exporterStopRecording() : 0);
+          } catch (error) {
+            // The recordings of a frame that went away are finished below
+          }
+        }
+      }
+      await this.flush();
+      
+      // Recordings whose last chunk never arrived (navigation, skipped chunk)
+      for (const recording of this.recordings.values()) {
+        await this.finishRecording(recording);
+      }
+    } finally {
+      this.off('recording', onRecording);
+    }
+    
+    return finished;
+  }
+  
+  // Append a chunk of a recording, starting the file on the first one
+  // meta: { recordingId, sampleRate, length, numberOfChannels, final }
+  async appendRecording(meta, audioData, context) {
+    let recording = this.recordings.get(meta.recordingId);
+    
+    if (!recording) {
+      if (audioData.length === 0) return null;
+      
+      const encoder = createWAVRecorder({
+        sampleRate: meta.sampleRate,
+        numberOfChannels: meta.numberOfChannels,
+        format: this.options.audioFormat,
+        dither: this.options.audioDither,
+      });
+      const index = ++this.fileIndex;
+      // Named by index while recording; renamed when finished with 'hash'
+      // naming or a name template
+      const filename = `recording_${index}_${Date.now()}.${encoder.extension}`;
+      recording = {
+        id: meta.recordingId,
+        kind: 'recording',
+        index,
+        filename,
+        extension: encoder.extension,
+        mimeType: encoder.mimeType,
+        filepath: this.options.saveFiles ? this.writeFile(filename, encoder.header()) : null,
+        encoder,
+        chunks: [],
+        sampleRate: meta.sampleRate,
+        numberOfChannels: meta.numberOfChannels,
+        context,
+        page: context.page || null,
+      };
+      this.recordings.set(recording.id, recording);
+      this.emit('recording', {
+        state: 'started',
+        id: recording.id,
+        filename,
+        source: context.source || 'unknown',
+        sampleRate: recording.sampleRate,
+        numberOfChannels: recording.numberOfChannels,
+        page: recording.page,
+      });
+    }
+    
+    if (audioData.length > 0) {
+      this.appendToFile(recording, recording.encoder.encode(audioData));
+      if (recording.filepath) {
+        const fd = fs.openSync(recording.filepath, 'r+');
+        try {
+          const header = recording.encoder.header();
+          fs.writeSync(fd, header, 0, header.length, 0);
+        } finally {
+          fs.closeSync(fd);
+        }
+      }
+    }
+    
+    if (meta.final) {
+      return this.finishRecording(recording);
+    }
+    return null;
+  }
+  
+  // Finish a recording: deduplicate, name, record in the manifest and report it
+  async finishRecording(recording) {
+    if (!this.recordings.delete(recording.id)) return null;
+    
+    try {
+      const buffer = recording.filepath
+        ? fs.readFileSync(recording.filepath)
+        : Buffer.concat([recording.encoder.header(), ...recording.chunks]);
+      const saved = this.completeFile(recording, buffer, 'audio');
+      if (!saved) return null;
+      
+      const length = recording.encoder.length;
+      const audio = {
+        state: 'finished',
+        id: recording.id,
+        index: recording.index,
+        buffer,
+        mimeType: recording.encoder.mimeType,
+        format: recording.encoder.format,
+        sampleRate: recording.sampleRate,
+        length,
+        numberOfChannels: recording.numberOfChannels,
+        duration: length / recording.sampleRate,
+        filename: saved.filename,
+        filepath: saved.filepath,
+        ...this.describeProvenance(buffer, saved.sha256, recording.context),
+        page: recording.page,
+      };
+      
+      this.writeManifestEntry('recording', audio, {
+        sampleRate: audio.sampleRate,
+        numberOfChannels: audio.numberOfChannels,
+        duration: audio.duration,
+        format: audio.format,
+      });
+      this.markSaved();
+      this.emit('recording', audio);
+      return audio;
+    } catch (error) {
+      this.reportError(new Error(`Failed to save recording: ${error.message}`), 'recording');
+      return null;
+    }
+  }
+  
+  // ==========================================================================
+  // Media Source Extensions streams
+  // The segments appended to each SourceBuffer (see lib/page-script.js) are
+  // appended to one file as they arrive. A new init segment that differs from
+  // the current one (a quality or codec switch) starts a new file, since the
+  // media segments after it only play with it. Repeated init segments are
+  // left out.
+  // ==========================================================================
+  
+  // Append a segment of a stream, starting the file on the first one
+  // meta: { streamId, mimeType (SourceBuffer type with codecs), final, skipped }
+  // skipped: segments of the stream the page could not send so far; those
+  // since the file started make it incomplete
+  async appendSegment(meta, bytes, context) {
+    let stream = this.streams.get(meta.streamId);
+    if (stream) {
+      stream.skippedSegments = (meta.skipped || 0) - stream.skippedBefore;
+    }
+    
+    if (bytes.length > 0) {
+      const initHash = isInitSegment(bytes) ? hashBuffer(bytes) : null;
+      if (stream && initHash) {
+        if (initHash === stream.initHash) {
+          return null;
+        }
+        if (stream.segments > 0) {
+          await this.finishStream(stream);
+          stream = null;
+        }
+      }
+      
+      if (!stream) {
+        stream = this.startStream(meta, context);
+      }
+      if (initHash) {
+        stream.initHash = initHash;
+      }
+      this.appendToFile(stream, bytes);
+      stream.segments++;
+    }
+    
+    if (meta.final && stream) {
+      return this.finishStream(stream);
+    }
+    return null;
+  }
+  
+  startStream(meta, context) {
+    // 'video/mp4; codecs="avc1.64001f, mp4a.40.2"' -> video/mp4, avc1.64001f, mp4a.40.2
+    const [type, ...parameters] = String(meta.mimeType).split(';');
+    const mimeType = type.trim().toLowerCase();
+    const codecsParameter = parameters.find(parameter => /^\s*codecs\s*=/i.test(parameter));
+    const codecs = codecsParameter ? codecsParameter.split('=').slice(1).join('=').replace(/["']/g, '').trim() : null;
+    
+    const index = ++this.fileIndex;
+    const extension = getExtensionFromMime(mimeType);
+    // Named by index while streaming; renamed when finished with 'hash'
+    // naming or a name template
+    const filename = `stream_${index}_${Date.now()}.${extension}`;
+    const stream = {
+      id: meta.streamId,
+      kind: 'stream',
+      index,
+      filename,
+      extension,
+      filepath: this.options.saveFiles ? this.writeFile(filename, Buffer.alloc(0)) : null,
+      chunks: [],
+      mimeType,
+      codecs,
+      segments: 0,
+      // Segments the page skipped (options.maxTransferMB) before this file
+      // started, and since then
+      skippedBefore: meta.skipped || 0,
+      skippedSegments: 0,
+      initHash: null,
+      context,
+      page: context.page || null,
+    };
+    this.streams.set(stream.id, stream);
+    this.emit('stream', { state: 'started', id: stream.id, filename, mimeType, codecs, source: context.source || 'unknown', page: stream.page });
+    return stream;
+  }
+  
+  // Finish a stream: deduplicate, name, record in the manifest and report it
+  async finishStream(stream) {
+    if (this.streams.get(stream.id) !== stream) return null;
+    this.streams.delete(stream.id);
+    
+    try {
+      const buffer = stream.filepath ? fs.readFileSync(stream.filepath) : Buffer.concat(stream.chunks);
+      const saved = this.completeFile(stream, buffer, 'asset');
+      if (!saved) return null;
+      
+      const asset = {
+        state: 'finished',
+        id: stream.id,
+        index: stream.index,
+        buffer,
+        mimeType: stream.mimeType,
+        codecs: stream.codecs,
+        segments: stream.segments,
+        incomplete: stream.skippedSegments > 0,
+        skippedSegments: stream.skippedSegments,
+        extension: stream.extension,
+        filename: saved.filename,
+        filepath: saved.filepath,
+        ...this.describeProvenance(buffer, saved.sha256, stream.context),
+        page: stream.page,
+      };
+      
+      this.writeManifestEntry('stream', asset, {
+        codecs: asset.codecs,
+        segments: asset.segments,
+        ...(asset.incomplete ? { incomplete: true, skippedSegments: asset.skippedSegments } : {}),
+      });
+      this.markSaved();
+      this.emit('stream', asset);
+      return asset;
+    } catch (error) {
+      this.reportError(new Error(`Failed to save stream: ${error.message}`), 'stream');
+      return null;
+    }
+  }
+  
+  // Append data to a file that grows while it is captured (recording or
+  // stream), or keep it in memory when files are not saved
+  appendToFile(file, data) {
+    if (file.filepath) {
+      fs.appendFileSync(file.filepath, data);
+    } else {
+      file.chunks.push(data);
+    }
+    this.lastActivityTime = Date.now();
+  }
+  
+  // Deduplicate a finished growing file and, with 'hash' naming or a name
+  // template, rename it
+  // Returns { sha256, filename, filepath }, or null if it was a duplicate
+  completeFile(file, buffer, kind) {
+    const sha256 = hashBuffer(buffer);
+    if (this.checkDuplicateContent(kind, sha256, null, file.context)) {
+      if (file.filepath) fs.unlinkSync(file.filepath);
+      return null;
+    }
+    
+    let { filename, filepath } = file;
+    let finalName = null;
+    if (this.options.nameTemplate) {
+      finalName = this.templateFilename(file.kind, file.index, file.extension, sha256, file.mimeType, file.context);
+    } else if (this.options.naming === 'hash') {
+      finalName = this.createFilename(null, file.index, file.extension, sha256);
+    }
+    if (finalName) {
+      filename = finalName;
+      if (filepath) {
+        const renamed = path.join(this.options.outputDir, filename);
+        fs.mkdirSync(path.dirname(renamed), { recursive: true });
+        fs.renameSync(filepath, renamed);
+        filepath = renamed;
+      }
+    }
+    
+    this.recordHash(sha256, filename);
+    return { sha256, filename, filepath };
+  }
+  
+  // Report a payload the page did not transfer
+  skipTransfer(kind, size, reason, context) {
+    this.stats.skipped++;
+    this.emit('skipped', { kind, size, reason, source: context.source || 'unknown', page: context.page || null });
+  }
+  
+  // Count an asset removed by the filters (see lib/filters.js); content seen
+  // again is not counted twice
+  // sha256 is null for assets filtered in the page (selector rules)
+  filterAsset(kind, sha256, reason, asset, context) {
+    if (sha256) {
+      if (this.filteredHashes.has(sha256)) {
+        return;
+      }
+      this.filteredHashes.add(sha256);
+    }
+    this.stats.filtered++;
+    this.filteredBy[reason] = (this.filteredBy[reason] || 0) + 1;
+    this.emit('filtered', { kind, reason, mimeType: asset.mimeType, size: asset.size, source: context.source || 'unknown', page: context.page || null });
+  }
+  
+  // URLs an asset came from, for origin rules: its resource URL, the
+  // response or socket it was found in, and its frame (or page)
+  assetURLs(context) {
+    const details = context.details || {};
+    const pageUrl = pageURL(context.page);
+    return [details.url, details.sourceUrl, context.frameUrl || pageUrl];
+  }
+  
+  // Report a data URI that could not be parsed
+  rejectDataURI(dataURI, reason, context) {
+    this.rejectedDataURIs.add(dataURI);
+    this.stats.rejected++;
+    this.emit('rejected', { dataURI, reason, source: context.source || 'unknown', page: context.page || null });
+  }
+  
+  // Encode audio data from the page (options.audioFormat) and report it
+  // audioBufferData: { sampleRate, length, numberOfChannels, channels: [[...], ...] }
+  // Returns the audio asset, or null if it is invalid or a duplicate
+  async processAudioBuffer(audioBufferData, context = {}) {
+    // Identify the buffer by its shape and all of its samples, so distinct
+    // buffers of equal length are never merged (the encoded file is hashed
+    // again later, but encoding is the expensive part)
+    const bufferId = hashAudioData(audioBufferData);
+    
+    if (this.savedAudioBuffers.has(bufferId)) {
+      this.stats.duplicates++;
+      this.emit('duplicate', { kind: 'audio', reason: 'buffer', dataURI: null, sha256: null, filename: null, page: context.page || null });
+      return null;
+    }
+    
+    this.savedAudioBuffers.add(bufferId);
+    
+    try {
+      // Validate data format
+      if (!audioBufferData.channels || !Array.isArray(audioBufferData.channels)) {
+        throw new Error('Audio data format error: missing channels array');
+      }
+      
+      if (audioBufferData.channels.length !== audioBufferData.numberOfChannels) {
+        throw new Error(`Audio data format error: channel count mismatch (${audioBufferData.channels.length} vs ${audioBufferData.numberOfChannels})`);
+      }
+      
+      // Encode as WAV or FLAC
+      const encoded = encodeAudio(audioBufferData, {
+        format: this.options.audioFormat,
+        dither: this.options.audioDither,
+        normalize: this.options.audioNormalize,
+      });
+      const buffer = encoded.buffer;
+      // Integer formats clip samples outside [-1, 1] unless normalized
+      const clipped = encoded.peak > 1 && !audioFormats[this.options.audioFormat].float && !this.options.audioNormalize;
+      const sha256 = hashBuffer(buffer);
+      const reason = this.assetFilter({ mimeType: encoded.mimeType, size: buffer.length, urls: this.assetURLs(context) });
+      if (reason) {
+        this.filterAsset('audio', sha256, reason, { mimeType: encoded.mimeType, size: buffer.length }, context);
+        return null;
+      }
+      if (this.checkDuplicateContent('audio', sha256, null, context)) {
+        return null;
+      }
+      
+      const index = ++this.fileIndex;
+      const filename = this.options.nameTemplate
+        ? this.templateFilename('audio', index, encoded.extension, sha256, encoded.mimeType, context)
+        : this.createFilename('audio', index, encoded.extension, sha256);
+      
+      // Original encoded file this audio was decoded from, if it was captured
+      const encodedSha256 = context.decodeId ? this.encodedAudio.get(context.decodeId) : null;
+      const encodedFile = encodedSha256 ? this.savedHashes.get(encodedSha256) || null : null;
+      
+      const audio = {
+        index,
+        buffer,
+        mimeType: encoded.mimeType,
+        format: this.options.audioFormat,
+        peak: encoded.peak,
+        clipped,
+        sampleRate: audioBufferData.sampleRate,
+        length: audioBufferData.length,
+        numberOfChannels: audioBufferData.numberOfChannels,
+        duration: audioBufferData.length / audioBufferData.sampleRate,
+        encodedFile,
+        filename,
+        filepath: this.options.saveFiles ? this.writeFile(filename, buffer) : null,
+        ...this.describeProvenance(buffer, sha256, context),
+        page: context.page || null,
+      };
+      
+      this.recordHash(sha256, filename);
+      this.writeManifestEntry('audio', audio, {
+        sampleRate: audio.sampleRate,
+        numberOfChannels: audio.numberOfChannels,
+        duration: audio.duration,
+        format: audio.format,
+        peak: audio.peak,
+        clipped,
+        ...(encodedFile ? { encodedFile } : {}),
+      });
+      this.markSaved();
+      this.emit('audio', audio);
+      return audio;
+    } catch (error) {
+      this.reportError(new Error(`Failed to save audio: ${error.message}`), 'audio');
+      return null;
+    }
+  }
+  
+  // File name for a new asset
+  // 'index' naming: <prefix>_<index>_<timestamp>.<ext>, 'hash' naming: <sha256>.<ext>
+  createFilename(prefix, index, extension, sha256) {
+    if (this.options.naming === 'hash') {
+      return `${sha256}.${extension}`;
+    }
+    return `${prefix}_${index}_${Date.now()}.${extension}`;
+  }
+  
+  // File name kept from a URL, with the extension of the content and a
+  // numeric suffix when the name is taken (hash naming still uses the hash)
+  createNamedFilename(name, extension, sha256) {
+    if (this.options.naming === 'hash') {
+      return `${sha256}.${extension}`;
+    }
+    
+    const dotIndex = name.lastIndexOf('.');
+    const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    const nameExtension = dotIndex > 0 ? name.slice(dotIndex + 1).toLowerCase() : '';
+    const finalExtension = isCompatibleExtension(nameExtension, extension) ? nameExtension : extension;
+    
+    return this.uniqueFilename(`${base}.${finalExtension}`);
+  }
+  
+  // File name rendered from options.nameTemplate (see lib/filename.js)
+  templateFilename(kind, index, extension, sha256, mimeType, context) {
+    const filename = renderTemplate(this.options.nameTemplate, templateValues({
+      kind,
+      index,
+      sha256,
+      extension,
+      mimeType,
+      source: context.source || 'unknown',
+      pageUrl: pageURL(context.page),
+      element: context.element,
+      parameters: context.parameters,
+      urlName: context.urlName,
+    }));
+    return this.uniqueFilename(filename);
+  }
+  
+  // Reserve a file name (a path relative to the output directory), adding
+  // _2, _3, ... before the extension while it is taken in this run or on disk
+  uniqueFilename(filename) {
+    const dotIndex = filename.lastIndexOf('.');
+    const hasExtension = dotIndex > filename.lastIndexOf('/') + 1;
+    const base = hasExtension ? filename.slice(0, dotIndex) : filename;
+    const extension = hasExtension ? filename.slice(dotIndex) : '';
+    
+    let unique = filename;
+    for (let n = 2; this.usedFilenames.has(unique) || fs.existsSync(path.join(this.options.outputDir, unique)); n++) {
+      unique = `${base}_${n}${extension}`;
+    }
+    this.usedFilenames.add(unique);
+    return unique;
+  }
+  
+  // Returns true (and reports a duplicate) if the same bytes were already
+  // saved in this run or, with options.skipExisting, in an earlier run
+  checkDuplicateContent(kind, sha256, dataURI, context) {
+    const page = context.page || null;
+    
+    if (this.savedHashes.has(sha256)) {
+      this.stats.duplicates++;
+      this.emit('duplicate', { kind, reason: 'content', dataURI, sha256, filename: this.savedHashes.get(sha256), page });
+      return true;
+    }
+    
+    const existing = this.getExistingIndex().get(sha256);
+    if (existing && fs.existsSync(path.join(this.options.outputDir, existing))) {
+      this.savedHashes.set(sha256, existing);
+      this.stats.existing++;
+      this.emit('duplicate', { kind, reason: 'existing', dataURI, sha256, filename: existing, page });
+      return true;
+    }
+    
+    return false;
+  }
+  
+  // Load the hash index written by earlier runs
+  getExistingIndex() {
+    if (this.existingIndex) {
+      return this.existingIndex;
+    }
+    
+    this.existingIndex = new Map();
+    if (!this.options.saveFiles || !this.options.skipExisting) {
+      return this.existingIndex;
+    }
+    
+    const indexPath = path.join(this.options.outputDir, INDEX_FILENAME);
+    if (!fs.existsSync(indexPath)) {
+      return this.existingIndex;
+    }
+    
+    try {
+      fs.readFileSync(indexPath, 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.sha256 && entry.filename) {
+            this.existingIndex.set(entry.sha256, entry.filename);
+          }
+        } catch (error) {
+          // Ignore truncated lines from an interrupted run
+        }
+      });
+    } catch (error) {
+      this.reportError(new Error(`Failed to read index: ${error.message}`), 'index');
+    }
+    
+    return this.existingIndex;
+  }
+  
+  // Remember a saved file's hash for this run and for later runs
+  recordHash(sha256, filename) {
+    this.savedHashes.set(sha256, filename);
+    
+    if (!this.options.saveFiles) {
+      return;
+    }
+    
+    try {
+      const entry = { sha256, filename };
+      fs.appendFileSync(path.join(this.options.outputDir, INDEX_FILENAME), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      this.reportError(new Error(`Failed to write index: ${error.message}`), 'index');
+    }
+  }
+  
+  // Provenance fields shared by all saved assets
+  describeProvenance(buffer, sha256, context) {
+    const pageUrl = pageURL(context.page);
+    
+    return {
+      size: buffer.length,
+      sha256,
+      source: context.source || 'unknown',
+      pageUrl,
+      frameUrl: context.frameUrl || pageUrl,
+      timestamp: new Date().toISOString(),
+    };
+  }
+  
+  // Append an entry for a saved file to the manifest
+  writeManifestEntry(kind, asset, extra = {}) {
+    if (!this.options.saveFiles || !this.options.manifest) {
+      return;
+    }
+    
+    const entry = {
+      filename: asset.filename,
+      kind,
+      mimeType: asset.mimeType,
+      size: asset.size,
+      sha256: asset.sha256,
+      pageUrl: asset.pageUrl,
+      frameUrl: asset.frameUrl,
+      timestamp: asset.timestamp,
+      source: asset.source,
+      ...extra,
+    };
+    
+    try {
+      fs.appendFileSync(path.join(this.options.outputDir, MANIFEST_FILENAME), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      this.reportError(new Error(`Failed to write manifest: ${error.message}`), 'manifest');
+    }
+  }
+  
+  // Write a file into the output directory, returns its path
+  // filename may contain subdirectories (name templates)
+  writeFile(filename, data) {
+    const filepath = path.join(this.options.outputDir, filename);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, data);
+    return filepath;
+  }
+  
+  // Wait until all in-flight operations have finished
+  async flush() {
+    while (this.pendingTasks.size > 0) {
+      await Promise.allSettled([...this.pendingTasks]);
+    }
+  }
+  
+  // Track an async operation so flush() can wait for it
+  track(promise) {
+    this.pendingTasks.add(promise);
+    promise.finally(() => this.pendingTasks.delete(promise)).catch(() => {});
+    return promise;
+  }
+  
+  markSaved() {
+    this.stats.saved++;
+    this.lastActivityTime = Date.now();
+  }
+  
+  // Emit an error event, or log it when nobody is listening
+  reportError(error, context) {
+    this.stats.errors++;
+    error.context = context;
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(`✗ ${error.message}`);
+    }
+  }
+}
+
+// Extensions that are different names for the same kind of file
+const compatibleExtensions = [
+  ['ogg', 'opus', 'ogv'],
+  ['mp4', 'm4a'],
+  ['ico', 'cur'],
+  ['jpg', 'jpeg'],
+  ['tif', 'tiff'],
+  ['html', 'htm'],
+];
+
+// Whether a detected extension agrees with the declared one
+function isCompatibleExtension(declared, detected) {
+  if (declared === detected) {
+    return true;
+  }
+  return compatibleExtensions.some(group => group.includes(declared) && group.includes(detected));
+}
+
+// Last segment of a URL's path as a safe file name, or null if there is none
+function urlFilename(url) {
+  let segment;
+  try {
+    segment = decodeURIComponent(new URL(url).pathname.split('/').pop());
+  } catch (error) {
+    return null;
+  }
+  const name = segment.replace(/[^\p{L}\p{N}_.-]+/gu, '_').replace(/^[._-]+/, '').slice(0, 100);
+  return name || null;
+}
+
+// URL of a Puppeteer page, or null when there is none or it is closed
+function pageURL(page) {
+  try {
+    return page && !page.isClosed() ? page.url() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// SHA-256 of a buffer as hex
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// SHA-256 over an audio buffer's shape and the float32 bits of every sample,
+// fed channel by channel
+function hashAudioData(audioBufferData) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${audioBufferData.sampleRate}_${audioBufferData.length}_${audioBufferData.numberOfChannels}`);
+  (audioBufferData.channels || []).forEach((channel) => {
+    const samples = channel instanceof Float32Array ? channel : Float32Array.from(channel || []);
+    hash.update(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+  });
+  return hash.digest('hex');
+}
+
+// Whether a Media Source Extensions segment is an initialization segment:
+// MP4 starting with ftyp or moov, or WebM starting with the EBML header
+function isInitSegment(bytes) {
+  if (bytes.length >= 8) {
+    const box = bytes.toString('latin1', 4, 8);
+    if (box === 'ftyp' || box === 'moov') return true;
+  }
+  return bytes.length >= 4 && bytes.readUInt32BE(0) === 0x1A45DFA3;
+}
+
+// Audio data from transferred float32 samples, channel after channel
+// meta: { sampleRate, length, numberOfChannels }
+function toAudioData(bytes, meta) {
+  const { sampleRate, length, numberOfChannels } = meta;
+  if (bytes.length !== length * numberOfChannels * 4) {
+    throw new Error(`Audio transfer size mismatch: ${bytes.length} bytes for ${numberOfChannels} x ${length} samples`);
+  }
+  // Copy into a fresh, aligned buffer
+  const samples = new Float32Array(length * numberOfChannels);
+  new Uint8Array(samples.buffer).set(bytes);
+  const channels = [];
+  for (let i = 0; i < numberOfChannels; i++) {
+    channels.push(samples.subarray(i * length, (i + 1) * length));
+  }
+  return { sampleRate, length, numberOfChannels, channels };
+}
+
+// Factory for DataURIExporter
+function createExporter(options) {
+  return new DataURIExporter(options);
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  INDEX_FILENAME,
+  DataURIExporter,
+  createExporter,
+};
@@ -0,0 +1,264 @@
+// ============================================================================
+// File type sniffing
+// Detects the real type of a file from its leading bytes, so assets get the
+// right extension even when the declared MIME type is wrong or generic.
+// ============================================================================
+
+// Check bytes at an offset; signature is a string (latin1) or an array of bytes
+function hasBytes(buffer, offset, signature) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    if (buffer[offset + i] !== bytes[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// ISO base media file (MP4, AVIF, HEIC, MOV): "ftyp" box with a major brand
+function sniffISOBaseMedia(buffer) {
+  if (!hasBytes(buffer, 4, 'ftyp') || buffer.length < 12) {
+    return null;
+  }
+  const brand = buffer.toString('latin1', 8, 12);
+  if (brand === 'avif' || brand === 'avis') {
+    return { mimeType: 'image/avif', extension: 'avif' };
+  }
+  if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) {
+    return { mimeType: 'image/heic', extension: 'heic' };
+  }
+  if (brand === 'M4A ' || brand === 'M4B ') {
+    return { mimeType: 'audio/mp4', extension: 'm4a' };
+  }
+  if (brand === 'qt  ') {
+    return { mimeType: 'video/quicktime', extension: 'mov' };
+  }
+  return { mimeType: 'video/mp4', extension: 'mp4' };
+}
+
+// RIFF container (WAV, WebP, AVI)
+function sniffRIFF(buffer) {
+  if (!hasBytes(buffer, 0, 'RIFF') || buffer.length < 12) {
+    return null;
+  }
+  const format = buffer.toString('latin1', 8, 12);
+  if (format === 'WEBP') {
+    return { mimeType: 'image/webp', extension: 'webp' };
+  }
+  if (format === 'WAVE') {
+    return { mimeType: 'audio/wav', extension: 'wav' };
+  }
+  if (format === 'AVI ') {
+    return { mimeType: 'video/x-msvideo', extension: 'avi' };
+  }
+  return null;
+}
+
+// Ogg container: look at the first codec header
+function sniffOgg(buffer) {
+  if (!hasBytes(buffer, 0, 'OggS')) {
+    return null;
+  }
+  const header = buffer.toString('latin1', 28, 36);
+  if (header.startsWith('OpusHead')) {
+    return { mimeType: 'audio/ogg', extension: 'opus' };
+  }
+  if (header.startsWith('\x80theora')) {
+    return { mimeType: 'video/ogg', extension: 'ogv' };
+  }
+  return { mimeType: 'audio/ogg', extension: 'ogg' };
+}
+
+// EBML container (WebM, Matroska): check the DocType
+function sniffEBML(buffer) {
+  if (!hasBytes(buffer, 0, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return null;
+  }
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+  if (head.includes('webm')) {
+    return { mimeType: 'video/webm', extension: 'webm' };
+  }
+  return { mimeType: 'video/x-matroska', extension: 'mkv' };
+}
+
+// MPEG audio bitrates in kbps by [MPEG-1, MPEG-2/2.5][layer I, II, III],
+// for bitrate indexes 1-14 (0 is free format, 15 is invalid)
+const mpegBitrates = [
+  [
+    [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  ],
+  [
+    [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  ],
+];
+// Sample rates by version bits (00 MPEG-2.5, 10 MPEG-2, 11 MPEG-1)
+const mpegSampleRates = { 0: [11025, 12000, 8000], 2: [22050, 24000, 16000], 3: [44100, 48000, 32000] };
+
+// MPEG audio frame header at an offset, returns { version, layer,
+// sampleRateIndex, length } or null when the header is invalid
+function mpegFrameHeader(buffer, offset) {
+  if (buffer.length < offset + 4 || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+  const version = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  // Reserved version and layer, free-format or invalid bitrate, reserved sample rate
+  if (version === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+  
+  const layer = 4 - layerBits;
+  const bitrate = mpegBitrates[version === 3 ? 0 : 1][layer - 1][bitrateIndex - 1] * 1000;
+  const sampleRate = mpegSampleRates[version][sampleRateIndex];
+  let length;
+  if (layer === 1) {
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else if (layer === 3 && version !== 3) {
+    length = Math.floor(72 * bitrate / sampleRate) + padding;
+  } else {
+    length = Math.floor(144 * bitrate / sampleRate) + padding;
+  }
+  return { version, layer, sampleRateIndex, length };
+}
+
+// ADTS frame header at an offset, returns { sampleRateIndex, length } or null
+function adtsFrameHeader(buffer, offset) {
+  if (buffer.length < offset + 7 || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xF6) !== 0xF0) {
+    return null;
+  }
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x0F;
+  const length = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+  if (sampleRateIndex > 12 || length < 7) {
+    return null;
+  }
+  return { sampleRateIndex, length };
+}
+
+// MPEG audio frame (MP3) or ADTS (AAC) without an ID3 tag
+// The first frame header must be valid and, when the data is long enough,
+// followed by a matching header at the computed frame length, since a
+// sync word alone (any run of 0xFF bytes) is too weak
+function sniffMPEGAudio(buffer) {
+  const adts = adtsFrameHeader(buffer, 0);
+  if (adts) {
+    const next = buffer.length >= adts.length + 7 ? adtsFrameHeader(buffer, adts.length) : adts;
+    if (buffer.length >= adts.length && next && next.sampleRateIndex === adts.sampleRateIndex) {
+      return { mimeType: 'audio/aac', extension: 'aac' };
+    }
+    return null;
+  }
+  
+  const frame = mpegFrameHeader(buffer, 0);
+  if (!frame || buffer.length < frame.length) {
+    return null;
+  }
+  const next = buffer.length >= frame.length + 4 ? mpegFrameHeader(buffer, frame.length) : frame;
+  if (next && next.version === frame.version && next.layer === frame.layer && next.sampleRateIndex === frame.sampleRateIndex) {
+    return { mimeType: 'audio/mpeg', extension: 'mp3' };
+  }
+  return null;
+}
+
+// Declarations before the root element: XML declaration and other
+// processing instructions, comments, and an SVG doctype, including an
+// internal subset (<!DOCTYPE svg ... [ <!ENTITY ...> ]>, Illustrator exports)
+const prologPattern = /^(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE\s+svg(?:[^[>]|\[[\s\S]*?\])*>)\s*/i;
+
+// Text formats: SVG, XML, HTML
+function sniffText(buffer) {
+  let text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+  text = text.replace(/^\uFEFF/, '').trimStart();
+  if (!text.startsWith('<')) {
+    return null;
+  }
+  
+  let root = text;
+  for (let match = prologPattern.exec(root); match; match = prologPattern.exec(root)) {
+    root = root.slice(match[0].length);
+  }
+  
+  if (/^<svg[\s/>]/i.test(root)) {
+    return { mimeType: 'image/svg+xml', extension: 'svg' };
+  }
+  if (/^<!DOCTYPE\s+html|^<html[\s>]/i.test(root)) {
+    return { mimeType: 'text/html', extension: 'html' };
+  }
+  if (/^<\?xml/i.test(text)) {
+    return { mimeType: 'application/xml', extension: 'xml' };
+  }
+  return null;
+}
+
+// BMP: "BM" plus a known DIB header size, since two bytes alone are too weak
+function sniffBMP(buffer) {
+  if (!hasBytes(buffer, 0, 'BM') || buffer.length < 18) {
+    return null;
+  }
+  const dibHeaderSize = buffer.readUInt32LE(14);
+  if ([12, 40, 52, 56, 64, 108, 124].includes(dibHeaderSize)) {
+    return { mimeType: 'image/bmp', extension: 'bmp' };
+  }
+  return null;
+}
+
+// Fixed signatures at offset 0, checked in order
+const signatures = [
+  { bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], mimeType: 'image/png', extension: 'png' },
+  { bytes: [0xFF, 0xD8, 0xFF], mimeType: 'image/jpeg', extension: 'jpg' },
+  { bytes: 'GIF87a', mimeType: 'image/gif', extension: 'gif' },
+  { bytes: 'GIF89a', mimeType: 'image/gif', extension: 'gif' },
+  { bytes: [0x00, 0x00, 0x01, 0x00], mimeType: 'image/x-icon', extension: 'ico' },
+  { bytes: [0x00, 0x00, 0x02, 0x00], mimeType: 'image/x-icon', extension: 'cur' },
+  { bytes: [0x49, 0x49, 0x2A, 0x00], mimeType: 'image/tiff', extension: 'tif' },
+  { bytes: [0x4D, 0x4D, 0x00, 0x2A], mimeType: 'image/tiff', extension: 'tif' },
+  { bytes: [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB], mimeType: 'image/ktx', extension: 'ktx' },
+  { bytes: [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB], mimeType: 'image/ktx2', extension: 'ktx2' },
+  { bytes: 'DDS ', mimeType: 'image/vnd-ms.dds', extension: 'dds' },
+  { bytes: 'wOFF', mimeType: 'font/woff', extension: 'woff' },
+  { bytes: 'wOF2', mimeType: 'font/woff2', extension: 'woff2' },
+  { bytes: 'OTTO', mimeType: 'font/otf', extension: 'otf' },
+  { bytes: [0x00, 0x01, 0x00, 0x00], mimeType: 'font/ttf', extension: 'ttf' },
+  { bytes: 'ttcf', mimeType: 'font/collection', extension: 'ttc' },
+  { bytes: 'ID3', mimeType: 'audio/mpeg', extension: 'mp3' },
+  { bytes: 'fLaC', mimeType: 'audio/flac', extension: 'flac' },
+  { bytes: 'MThd', mimeType: 'audio/midi', extension: 'mid' },
+  { bytes: '%PDF-', mimeType: 'application/pdf', extension: 'pdf' },
+  { bytes: [0x50, 0x4B, 0x03, 0x04], mimeType: 'application/zip', extension: 'zip' },
+  { bytes: [0x1F, 0x8B], mimeType: 'application/gzip', extension: 'gz' },
+  { bytes: [0x00, 0x61, 0x73, 0x6D], mimeType: 'application/wasm', extension: 'wasm' },
+];
+
+// Detect file type from content, returns { mimeType, extension } or null
+function sniffFileType(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+  
+  for (const signature of signatures) {
+    if (hasBytes(buffer, 0, signature.bytes)) {
+      return { mimeType: signature.mimeType, extension: signature.extension };
+    }
+  }
+  
+  return sniffBMP(buffer)
+    || sniffRIFF(buffer)
+    || sniffISOBaseMedia(buffer)
+    || sniffOgg(buffer)
+    || sniffEBML(buffer)
+    || sniffMPEGAudio(buffer)
+    || sniffText(buffer);
+}
+
+module.exports = {
+  sniffFileType,
+};
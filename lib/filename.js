@@ -0,0 +1,130 @@
+// ============================================================================
+// Filename templates
+// options.nameTemplate names saved files from tokens, e.g.
+// "{host}/{type}/{hash8}.{ext}". A token can list alternatives separated by
+// |, the first non-empty one is used ("{alt|id|hash8}"). Slashes in the
+// template create subdirectories; every path segment is sanitized.
+// ============================================================================
+
+const templateTokens = {
+  kind: 'asset, audio, recording or stream',
+  index: 'capture number in this run',
+  timestamp: 'capture time in milliseconds',
+  date: 'capture date (YYYY-MM-DD)',
+  time: 'capture time (HHMMSS)',
+  hash: 'SHA-256 of the content',
+  hash8: 'first 8 characters of the SHA-256',
+  ext: 'file extension',
+  type: 'top-level MIME type (image, font, audio, ...)',
+  source: 'detector that found the asset',
+  host: 'host name of the page',
+  'page-path': 'path of the page URL (index for /)',
+  alt: 'alt text of the element',
+  id: 'id of the element',
+  download: 'download attribute of the link',
+  title: 'title of the element',
+  name: 'name= parameter of the data URI, or the file name of the URL',
+};
+
+// Longest path segment kept, in characters
+const MAX_SEGMENT_LENGTH = 100;
+
+const tokenPattern = /\{([^{}]+)\}/g;
+
+// Throw if a template uses an unknown token
+function validateTemplate(template) {
+  for (const match of template.matchAll(tokenPattern)) {
+    match[1].split('|').map(token => token.trim()).forEach((token) => {
+      if (!(token in templateTokens)) {
+        throw new Error(`Unknown token {${token}} in filename template "${template}" (known: ${Object.keys(templateTokens).join(', ')})`);
+      }
+    });
+  }
+}
+
+// Make a string safe as one path segment on Windows, macOS and Linux
+function sanitizeSegment(segment) {
+  const safe = String(segment)
+    .replace(/[\u0000-\u001F\u007F<>:"/\\|?*]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|[. ]+$/g, '')
+    .slice(0, MAX_SEGMENT_LENGTH);
+  // Device names Windows does not allow as file names, with any extension
+  if (/^(con|prn|aux|nul|com\d|lpt\d)(\.|$)/i.test(safe)) {
+    return `_${safe}`;
+  }
+  return safe || '_';
+}
+
+// A value without the extension it may carry ("report.pdf" -> "report")
+function withoutExtension(value) {
+  return value ? value.replace(/\.[A-Za-z0-9]{1,5}$/, '') : value;
+}
+
+// Render a template to a relative file name with / separators
+// values: token -> string; missing or empty tokens become "unknown"
+// The extension is appended when the template has no {ext}
+function renderTemplate(template, values) {
+  const rendered = template.replace(tokenPattern, (match, expression) => {
+    const value = expression.split('|')
+      .map(token => values[token.trim()])
+      .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+    // Values may not add directories, except the page path
+    const text = value === undefined ? 'unknown' : String(value);
+    return expression.trim() === 'page-path' ? text : text.replace(/[/\\]/g, '_');
+  });
+  
+  const segments = rendered.split(/[/\\]+/).filter(Boolean).map(sanitizeSegment);
+  let filename = segments.length > 0 ? segments.join('/') : '_';
+  if (!/\{\s*ext\s*\}/.test(template) && values.ext) {
+    filename += `.${values.ext}`;
+  }
+  return filename;
+}
+
+// Template values for a capture
+// file: { kind, index, sha256, extension, mimeType, source, pageUrl, element, parameters, urlName }
+function templateValues(file) {
+  const now = new Date();
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  
+  let host = '';
+  let pagePath = '';
+  try {
+    const url = new URL(file.pageUrl);
+    host = url.hostname;
+    pagePath = decodeURIComponent(url.pathname).replace(/^\/+|\/+$/g, '') || 'index';
+  } catch (error) {
+    // No page, or a page URL that does not parse
+  }
+  
+  const element = file.element || {};
+  const parameters = file.parameters || {};
+  return {
+    kind: file.kind,
+    index: file.index,
+    timestamp: now.getTime(),
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`,
+    hash: file.sha256,
+    hash8: file.sha256 ? file.sha256.slice(0, 8) : '',
+    ext: file.extension,
+    type: file.mimeType ? file.mimeType.split('/')[0] : '',
+    source: file.source,
+    host,
+    'page-path': pagePath,
+    alt: element.alt,
+    id: element.id,
+    download: withoutExtension(element.download),
+    title: element.title,
+    name: withoutExtension(parameters.name || file.urlName),
+  };
+}
+
+module.exports = {
+  templateTokens,
+  validateTemplate,
+  renderTemplate,
+  templateValues,
+};
@@ -0,0 +1,89 @@
+// ============================================================================
+// Asset filters
+// Include/exclude rules checked before an asset is saved: MIME type globs
+// (options.mimeFilter), decoded size (options.minSize, options.maxSize) and
+// URL/origin patterns (options.originFilter). A rule starting with ! excludes;
+// without include rules everything that is not excluded passes.
+// DOM selector rules (options.selectorFilter) need the element, so they are
+// checked in the page (see detectElement in lib/page-script.js).
+// ============================================================================
+
+// Split rules into { include, exclude }, dropping the ! of exclude rules
+function splitRules(rules) {
+  const include = [];
+  const exclude = [];
+  (rules || []).forEach((rule) => {
+    if (rule.startsWith('!')) {
+      exclude.push(rule.slice(1).trim());
+    } else {
+      include.push(rule);
+    }
+  });
+  return { include, exclude };
+}
+
+// Glob with * wildcards to an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Whether a MIME type matches a glob such as image/*, image/svg+xml or */*
+function matchesMimeGlob(mimeType, glob) {
+  return globToRegExp(glob).test(mimeType);
+}
+
+// Whether a URL matches a pattern: a host name (subdomains included,
+// e.g. example.com or *.cdn.net) or a URL glob (https://example.com/img/*)
+function matchesURLPattern(url, pattern) {
+  if (!pattern.includes('/') && !pattern.includes(':')) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (error) {
+      return false;
+    }
+    return globToRegExp(pattern).test(host) || globToRegExp(`*.${pattern}`).test(host);
+  }
+  return globToRegExp(pattern).test(url);
+}
+
+// Build the filter for the given options
+// Returns check({ mimeType, size, urls }), which returns null when the asset
+// is kept or the reason it is filtered out: 'mime', 'size' or 'origin'
+// urls: where the asset came from (resource URL, frame URL, ...)
+function createAssetFilter(options) {
+  const mimeRules = splitRules(options.mimeFilter);
+  const originRules = splitRules(options.originFilter);
+  const minSize = options.minSize || 0;
+  const maxSize = options.maxSize || 0;
+  
+  return function check({ mimeType, size, urls }) {
+    if (mimeRules.include.length > 0 && !mimeRules.include.some(glob => matchesMimeGlob(mimeType, glob))) {
+      return 'mime';
+    }
+    if (mimeRules.exclude.some(glob => matchesMimeGlob(mimeType, glob))) {
+      return 'mime';
+    }
+    
+    if (size < minSize || (maxSize > 0 && size > maxSize)) {
+      return 'size';
+    }
+    
+    const candidates = (urls || []).filter(Boolean);
+    if (originRules.include.length > 0 && !candidates.some(url => originRules.include.some(pattern => matchesURLPattern(url, pattern)))) {
+      return 'origin';
+    }
+    if (candidates.some(url => originRules.exclude.some(pattern => matchesURLPattern(url, pattern)))) {
+      return 'origin';
+    }
+    
+    return null;
+  };
+}
+
+module.exports = {
+  createAssetFilter,
+  matchesMimeGlob,
+  matchesURLPattern,
+};
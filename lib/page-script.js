@@ -0,0 +1,2125 @@
+// ============================================================================
+// Page scripts
+// These functions are serialized and run inside the browser page, so they
+// must be self-contained and cannot reference anything from Node.js.
+// ============================================================================
+
+// Injected before any page script runs (page.evaluateOnNewDocument)
+// Hooks network APIs, WebAudio and the DOM, and reports findings through the
+// exposed __onDataURIDetected / __onBinaryTransfer functions
+function pageScript(config) {
+  try {
+    // Skip if the script is already installed in this document
+    if (window.__exporterConfig) {
+      return;
+    }
+    
+    // Store configuration
+    window.__exporterConfig = config;
+    
+    // Store detected data URIs
+    window.__detectedDataURIs = new Set();
+    // Store content keys of detected audio buffers (see audioBufferKey)
+    window.__detectedAudioBuffers = new Set();
+    
+    // Native Blob, for instanceof checks after the constructor is wrapped
+    // and for encoding transfer chunks
+    const NativeBlob = window.Blob;
+    // Native AudioContext, for the private contexts that record media elements
+    const NativeAudioContext = window.AudioContext || window.webkitAudioContext;
+    
+    // ========================================================================
+    // Transfer to Node.js
+    // Large payloads (audio samples, blobs, long data URIs) are sent through
+    // __onBinaryTransfer in chunks instead of one huge JSON string:
+    //   { type: 'begin', id, kind, size, meta, info }
+    //   { type: 'chunk', id, seq, data }   data: base64 (bytes) or text
+    //   { type: 'end', id }
+    //   { type: 'skip', kind, size, reason, info }
+    // Transfers run one at a time and every chunk waits for Node.js to take
+    // it, so the page's main thread is only busy for one chunk at a time.
+    // Payloads over maxTransferMB (or that would grow the queue past it) are
+    // skipped and reported.
+    // ========================================================================
+    const TRANSFER_CHUNK_SIZE = 1024 * 1024;
+    const maxTransferBytes = (config.maxTransferMB || 0) * 1024 * 1024;
+    const transferPrefix = Math.random().toString(36).slice(2, 10);
+    let transferCounter = 0;
+    let transferQueue = Promise.resolve();
+    let queuedTransferBytes = 0;
+    
+    // Base64 of a Blob or a byte array, without blocking on the conversion
+    function readBase64(data) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).slice(String(reader.result).indexOf(',') + 1));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(data instanceof NativeBlob ? data : new NativeBlob([data]));
+      });
+    }
+    
+    // Why a payload of this size cannot be transferred now, or null if it can
+    function transferRefusal(size) {
+      if (maxTransferBytes > 0 && size > maxTransferBytes) {
+        return 'larger than maxTransferMB';
+      }
+      if (maxTransferBytes > 0 && queuedTransferBytes + size > maxTransferBytes) {
+        return 'transfer queue full';
+      }
+      return null;
+    }
+    
+    // Report a payload that is not transferred
+    function skipTransfer(kind, size, reason, info) {
+      const send = window.__onBinaryTransfer;
+      return send ? Promise.resolve(send({ type: 'skip', kind, size, reason, info })).catch(() => {}) : Promise.resolve();
+    }
+    
+    // Queue a payload for transfer
+    // payload: Blob or Uint8Array (sent as base64) or string (sent as text)
+    // Returns a promise that settles once Node.js has processed it
+    function transfer(kind, payload, meta, info) {
+      const size = typeof payload === 'string' ? payload.length : (payload.size ?? payload.byteLength);
+      const send = window.__onBinaryTransfer;
+      if (!send) {
+        return Promise.resolve();
+      }
+      
+      const refusal = transferRefusal(size);
+      if (refusal) {
+        return skipTransfer(kind, size, refusal, info);
+      }
+      
+      queuedTransferBytes += size;
+      const id = `${transferPrefix}-${++transferCounter}`;
+      const run = async () => {
+        try {
+          await send({ type: 'begin', id, kind, size, meta, info });
+          for (let offset = 0, seq = 0; offset < size; offset += TRANSFER_CHUNK_SIZE, seq++) {
+            const end = Math.min(offset + TRANSFER_CHUNK_SIZE, size);
+            const data = typeof payload === 'string'
+              ? payload.slice(offset, end)
+              : await readBase64(payload.slice(offset, end));
+            await send({ type: 'chunk', id, seq, data });
+          }
+          await send({ type: 'end', id });
+        } catch (e) {
+          console.error('[DataURI Exporter] Transfer failed:', e);
+        } finally {
+          queuedTransferBytes -= size;
+        }
+      };
+      
+      const result = transferQueue.then(run);
+      transferQueue = result;
+      return result;
+    }
+    
+    // Function to detect data URI
+    // source: name of the hook that found it (fetch, xhr, mutation, ...)
+    // element: naming hints of the element it was found on (see describeElement)
+    function detectDataURI(url, source, element) {
+      try {
+        if (typeof url === 'string' && url.startsWith('data:')) {
+          if (!window.__detectedDataURIs.has(url)) {
+            window.__detectedDataURIs.add(url);
+            const info = { source, frameUrl: location.href, ...(element ? { element } : {}) };
+            if (url.length > TRANSFER_CHUNK_SIZE) {
+              transfer('dataURI', url, {}, info);
+            } else {
+              window.__onDataURIDetected?.(url, info);
+            }
+          }
+        }
+      } catch (e) {
+        console.error('[DataURI Exporter] detectDataURI error:', e);
+      }
+    }
+    
+    // AudioBuffer -> decode id, for buffers decoded by decodeAudioData whose
+    // encoded input was captured (the decoded copy is then optional)
+    const decodedAudioBuffers = new WeakMap();
+    let decodeCounter = 0;
+    const decodePrefix = Math.random().toString(36).slice(2, 10);
+    
+    // AudioBuffer -> content key (see audioBufferKey), so a buffer played
+    // again is not hashed again. The page can only change samples through
+    // copyToChannel or the writable arrays getChannelData returns, so both
+    // drop the cached key; the exporter reads samples with the native method.
+    const audioBufferKeys = new WeakMap();
+    const nativeGetChannelData = window.AudioBuffer ? window.AudioBuffer.prototype.getChannelData : null;
+    function channelData(audioBuffer, channel) {
+      return nativeGetChannelData ? nativeGetChannelData.call(audioBuffer, channel) : audioBuffer.getChannelData(channel);
+    }
+    try {
+      if (window.AudioBuffer) {
+        ['getChannelData', 'copyToChannel'].forEach((method) => {
+          const original = window.AudioBuffer.prototype[method];
+          if (typeof original !== 'function') return;
+          window.AudioBuffer.prototype[method] = function() {
+            audioBufferKeys.delete(this);
+            return original.apply(this, arguments);
+          };
+        });
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to hook AudioBuffer:', e);
+    }
+    
+    // Content key of an audio buffer: shape plus two 32-bit hashes (FNV-1a
+    // and a multiplicative hash) over the raw bits of every sample of every
+    // channel, computed in one pass without copying
+    // Returns null for silent buffers (e.g. fresh from createBuffer, not filled yet)
+    function audioBufferKey(audioBuffer) {
+      if (audioBufferKeys.has(audioBuffer)) {
+        return audioBufferKeys.get(audioBuffer);
+      }
+      const key = hashAudioBuffer(audioBuffer);
+      audioBufferKeys.set(audioBuffer, key);
+      return key;
+    }
+    function hashAudioBuffer(audioBuffer) {
+      let fnv = 0x811C9DC5;
+      let mix = 0x9E3779B9;
+      let silent = true;
+      for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = channelData(audioBuffer, channel);
+        const words = new Uint32Array(data.buffer, data.byteOffset, data.length);
+        for (let i = 0; i < words.length; i++) {
+          const word = words[i];
+          // +0 and -0 are both silence
+          if (silent && (word & 0x7FFFFFFF) !== 0) silent = false;
+          fnv = Math.imul(fnv ^ word, 0x01000193);
+          mix = Math.imul(mix ^ (word + i), 0x85EBCA6B) ^ (mix >>> 13);
+        }
+      }
+      if (silent) {
+        return null;
+      }
+      return `${audioBuffer.sampleRate}_${audioBuffer.length}_${audioBuffer.numberOfChannels}_${(fnv >>> 0).toString(16)}${(mix >>> 0).toString(16)}`;
+    }
+    
+    // Function to detect audio buffer
+    // Buffers are keyed on their content, so buffers of equal shape are all
+    // captured and a buffer refilled later is captured again (e.g. at start())
+    // source: name of the hook that found it (decodeAudioData, createBuffer, ...)
+    function detectAudioBuffer(audioBuffer, source) {
+      if (!audioBuffer || typeof audioBuffer.getChannelData !== 'function') {
+        return;
+      }
+      
+      const decodeId = decodedAudioBuffers.get(audioBuffer) || null;
+      if (decodeId && !window.__exporterConfig.saveDecodedAudio) {
+        return;
+      }
+      
+      try {
+        const bufferId = audioBufferKey(audioBuffer);
+        
+        if (bufferId && !window.__detectedAudioBuffers.has(bufferId)) {
+          window.__detectedAudioBuffers.add(bufferId);
+          const info = { source, frameUrl: location.href, decodeId };
+          
+          // Check the size first, so a buffer that cannot be sent is not copied
+          const bytesPerChannel = audioBuffer.length * 4;
+          const refusal = transferRefusal(bytesPerChannel * audioBuffer.numberOfChannels);
+          if (refusal) {
+            skipTransfer('audio', bytesPerChannel * audioBuffer.numberOfChannels, refusal, info);
+            return;
+          }
+          
+          // Copy the raw float32 samples, channel after channel (the
+          // buffer may be refilled before the transfer gets to it)
+          const samples = new Uint8Array(bytesPerChannel * audioBuffer.numberOfChannels);
+          for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+            const data = channelData(audioBuffer, i);
+            samples.set(new Uint8Array(data.buffer, data.byteOffset, bytesPerChannel), i * bytesPerChannel);
+          }
+          
+          // Send to Node.js side for processing
+          transfer('audio', samples, {
+            sampleRate: audioBuffer.sampleRate,
+            length: audioBuffer.length,
+            numberOfChannels: audioBuffer.numberOfChannels
+          }, info);
+        }
+      } catch (error) {
+        console.error('Failed to detect audio buffer:', error);
+      }
+    }
+    
+    // ========================================================================
+    // Recording
+    // While recording, live audio is sent to Node.js in chunks of about a
+    // second and appended to one growing WAV file per source:
+    //   destination     - everything an AudioContext plays, through a
+    //                     ScriptProcessor tee fed by every node connected
+    //                     to the context's destination
+    //   scriptProcessor - the input of every ScriptProcessor of the page
+    //   captureStream   - every playing <audio>/<video> element
+    // Leading silence is dropped, so sources that stay silent make no file.
+    // Recording is started and stopped by Node.js (__exporterStartRecording,
+    // __exporterStopRecording) or from the start with config.recordAudio.
+    // ========================================================================
+    const RECORD_CHUNK_SECONDS = 1;
+    const RECORD_TAP_SIZE = 4096;
+    const recordPrefix = Math.random().toString(36).slice(2, 10);
+    let recordCounter = 0;
+    let recording = false;
+    // Recorders of the current recording, finished on stop
+    const recorders = new Set();
+    // Realtime AudioContexts of the page -> { inputs: nodes connected to its destination, recorder }
+    const recordableContexts = new Map();
+    // Media element -> its recorder
+    const mediaRecorders = new WeakMap();
+    const nativeConnect = window.AudioNode ? window.AudioNode.prototype.connect : null;
+    const nativeDisconnect = window.AudioNode ? window.AudioNode.prototype.disconnect : null;
+    
+    function createRecorder(source, sampleRate) {
+      const recorder = {
+        id: `${recordPrefix}-${++recordCounter}`,
+        info: { source, frameUrl: location.href },
+        sampleRate,
+        numberOfChannels: 0,
+        pending: [],
+        length: 0,
+        started: false,
+        active: true,
+        stop: () => {},
+      };
+      recorders.add(recorder);
+      return recorder;
+    }
+    
+    // Append a copy of an AudioBuffer to a recorder, sending full chunks
+    function recordAudio(recorder, audioBuffer) {
+      if (!recorder.active || !audioBuffer) return;
+      
+      const channels = [];
+      let silent = !recorder.started;
+      for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+        const data = channelData(audioBuffer, i).slice();
+        for (let j = 0; silent && j < data.length; j++) {
+          if (data[j] !== 0) silent = false;
+        }
+        channels.push(data);
+      }
+      if (silent) return;
+      
+      recorder.started = true;
+      recorder.numberOfChannels = audioBuffer.numberOfChannels;
+      recorder.pending.push(channels);
+      recorder.length += audioBuffer.length;
+      if (recorder.length >= recorder.sampleRate * RECORD_CHUNK_SECONDS) {
+        sendRecording(recorder, false);
+      }
+    }
+    
+    // Send the pending samples of a recorder, channel after channel
+    // final: the last chunk, after which Node.js finishes the file
+    function sendRecording(recorder, final) {
+      if (!recorder.started) {
+        return Promise.resolve();
+      }
+      
+      const bytesPerChannel = recorder.length * 4;
+      const samples = new Uint8Array(bytesPerChannel * recorder.numberOfChannels);
+      for (let i = 0; i < recorder.numberOfChannels; i++) {
+        let offset = i * bytesPerChannel;
+        recorder.pending.forEach((channels) => {
+          const data = channels[i];
+          samples.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), offset);
+          offset += data.byteLength;
+        });
+      }
+      const meta = {
+        recordingId: recorder.id,
+        sampleRate: recorder.sampleRate,
+        length: recorder.length,
+        numberOfChannels: recorder.numberOfChannels,
+        final,
+      };
+      recorder.pending = [];
+      recorder.length = 0;
+      return transfer('recording', samples, meta, recorder.info);
+    }
+    
+    // ScriptProcessor that records its input; connected to the destination
+    // because processors only run while connected (its output is silent)
+    function createTap(context, channelCount, recorder) {
+      const createScriptProcessor = Object.getPrototypeOf(context).createScriptProcessor;
+      const tap = createScriptProcessor.call(context, RECORD_TAP_SIZE, channelCount, channelCount);
+      tap.addEventListener('audioprocess', (event) => recordAudio(recorder, event.inputBuffer));
+      nativeConnect.call(tap, context.destination);
+      return tap;
+    }
+    
+    // Tee everything connected to a context's destination into a recorder
+    function recordContext(context) {
+      const state = recordableContexts.get(context);
+      if (!state || state.recorder || context.state === 'closed') return;
+      
+      try {
+        const recorder = createRecorder('destination', context.sampleRate);
+        const tap = createTap(context, context.destination.channelCount || 2, recorder);
+        state.inputs.forEach(node => nativeConnect.call(node, tap));
+        state.recorder = recorder;
+        recorder.tap = tap;
+        recorder.stop = () => {
+          state.recorder = null;
+          state.inputs.forEach((node) => {
+            try {
+              nativeDisconnect.call(node, tap);
+            } catch (e) {
+              // Already disconnected from everything by the page
+            }
+          });
+          nativeDisconnect.call(tap);
+        };
+      } catch (e) {
+        console.error('[DataURI Exporter] Failed to record AudioContext:', e);
+      }
+    }
+    
+    // Remember a realtime AudioContext, recording it if a recording is running
+    function registerAudioContext(context) {
+      if (!nativeConnect || recordableContexts.has(context)) return;
+      recordableContexts.set(context, { inputs: new Set(), recorder: null });
+      context.addEventListener?.('statechange', () => {
+        if (context.state === 'closed') {
+          recordableContexts.delete(context);
+        }
+      });
+      if (recording) {
+        recordContext(context);
+      }
+    }
+    
+    // Record an <audio>/<video> element through captureStream()
+    function recordMediaElement(element) {
+      if (!recording || !window.__exporterConfig.recordMedia || mediaRecorders.get(element)?.active) return;
+      
+      const captureStream = element.captureStream || element.mozCaptureStream;
+      if (typeof captureStream !== 'function' || !NativeAudioContext || !nativeConnect) return;
+      
+      try {
+        const stream = captureStream.call(element);
+        if (stream.getAudioTracks().length === 0) return;
+        
+        const context = new NativeAudioContext();
+        context.resume().catch(() => {});
+        const recorder = createRecorder('captureStream', context.sampleRate);
+        const input = context.createMediaStreamSource(stream);
+        const tap = createTap(context, 2, recorder);
+        nativeConnect.call(input, tap);
+        recorder.stop = () => {
+          nativeDisconnect.call(input);
+          nativeDisconnect.call(tap);
+          context.close().catch(() => {});
+        };
+        mediaRecorders.set(element, recorder);
+      } catch (e) {
+        // Cross-origin media without CORS cannot be captured
+        console.error('[DataURI Exporter] Failed to record media element:', e);
+      }
+    }
+    
+    window.__exporterStartRecording = function() {
+      recording = true;
+      recordableContexts.forEach((state, context) => recordContext(context));
+      document.querySelectorAll('audio, video').forEach((element) => {
+        if (!element.paused) {
+          recordMediaElement(element);
+        }
+      });
+      return recorders.size;
+    };
+    
+    // Resolves once Node.js has processed the last chunk of every recorder
+    window.__exporterStopRecording = function() {
+      recording = false;
+      const finished = [];
+      recorders.forEach((recorder) => {
+        recorder.active = false;
+        try {
+          recorder.stop();
+        } catch (e) {
+          console.error('[DataURI Exporter] Failed to stop recorder:', e);
+        }
+        finished.push(sendRecording(recorder, true));
+      });
+      recorders.clear();
+      return Promise.all(finished).then(() => finished.length);
+    };
+    
+    if (window.__exporterConfig.interceptAudioContext && nativeConnect) {
+      // Track connections to destinations, so a recording can tee them
+      try {
+        window.AudioNode.prototype.connect = function(destination, ...args) {
+          const result = nativeConnect.call(this, destination, ...args);
+          try {
+            const state = window.AudioDestinationNode && destination instanceof window.AudioDestinationNode
+              ? recordableContexts.get(destination.context)
+              : null;
+            if (state) {
+              state.inputs.add(this);
+              if (state.recorder) {
+                nativeConnect.call(this, state.recorder.tap);
+              }
+            }
+          } catch (e) {
+            console.error('[DataURI Exporter] connect interception error:', e);
+          }
+          return result;
+        };
+        
+        window.AudioNode.prototype.disconnect = function(...args) {
+          const result = nativeDisconnect.apply(this, args);
+          try {
+            const state = recordableContexts.get(this.context);
+            // disconnect() and disconnect(output) drop every connection, tap included
+            if (state && state.inputs.has(this) && (args.length === 0 || typeof args[0] === 'number' || args[0] === this.context.destination)) {
+              state.inputs.delete(this);
+              if (state.recorder && args[0] === this.context.destination) {
+                nativeDisconnect.call(this, state.recorder.tap);
+              }
+            }
+          } catch (e) {
+            console.error('[DataURI Exporter] disconnect interception error:', e);
+          }
+          return result;
+        };
+      } catch (e) {
+        console.error('[DataURI Exporter] Failed to intercept AudioNode connections:', e);
+      }
+    }
+    
+    // Media elements that start playing while recording
+    try {
+      document.addEventListener('play', (event) => recordMediaElement(event.target), true);
+      if (window.HTMLMediaElement) {
+        const originalPlay = window.HTMLMediaElement.prototype.play;
+        // Also catches elements that are not in the document (new Audio())
+        window.HTMLMediaElement.prototype.play = function(...args) {
+          const result = originalPlay.apply(this, args);
+          recordMediaElement(this);
+          return result;
+        };
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to watch media playback:', e);
+    }
+    
+    if (window.__exporterConfig.recordAudio) {
+      window.__exporterStartRecording();
+    }
+    
+    // Intercept AudioContext methods (needs to be defined externally for reuse)
+    function interceptAudioContext(context) {
+      try {
+        if (!context) return;
+        
+        // Intercept decodeAudioData
+        if (window.__exporterConfig.interceptDecodeAudioData && context.decodeAudioData && typeof context.decodeAudioData === 'function') {
+          try {
+            const originalDecodeAudioData = context.decodeAudioData.bind(context);
+            context.decodeAudioData = function(arrayBuffer, ...callbacks) {
+              // Copy the encoded input (MP3, Ogg, AAC, ...) now: decoding detaches it
+              let encoded = null;
+              try {
+                if (arrayBuffer instanceof ArrayBuffer && arrayBuffer.byteLength > 0) {
+                  encoded = arrayBuffer.slice(0);
+                }
+              } catch (e) {
+                console.error('[DataURI Exporter] Failed to copy decodeAudioData input:', e);
+              }
+              
+              return originalDecodeAudioData(arrayBuffer, ...callbacks).then((audioBuffer) => {
+                try {
+                  if (encoded && NativeBlob) {
+                    // Save the original file; the decoded PCM is linked to it by decode id
+                    const decodeId = `${decodePrefix}-${++decodeCounter}`;
+                    decodedAudioBuffers.set(audioBuffer, decodeId);
+                    detectBlob(new NativeBlob([encoded]), 'decodeAudioData', null, { decodeId })
+                      .then(() => detectAudioBuffer(audioBuffer, 'decodeAudioData'));
+                  } else {
+                    detectAudioBuffer(audioBuffer, 'decodeAudioData');
+                  }
+                } catch (e) {
+                  console.error('[DataURI Exporter] detectAudioBuffer in decodeAudioData error:', e);
+                }
+                return audioBuffer;
+              });
+            };
+          } catch (e) {
+            console.error('[DataURI Exporter] Failed to intercept decodeAudioData:', e);
+          }
+        }
+        
+        // Intercept createBuffer
+        if (window.__exporterConfig.interceptCreateBuffer && context.createBuffer && typeof context.createBuffer === 'function') {
+          try {
+            const originalCreateBuffer = context.createBuffer.bind(context);
+            context.createBuffer = function(...args) {
+              const buffer = originalCreateBuffer(...args);
+              try {
+                detectAudioBuffer(buffer, 'createBuffer');
+              } catch (e) {
+                console.error('[DataURI Exporter] detectAudioBuffer in createBuffer error:', e);
+              }
+              return buffer;
+            };
+          } catch (e) {
+            console.error('[DataURI Exporter] Failed to intercept createBuffer:', e);
+          }
+        }
+        
+        // Intercept createBufferSource
+        if (window.__exporterConfig.interceptCreateBufferSource && context.createBufferSource && typeof context.createBufferSource === 'function') {
+          try {
+            const originalCreateBufferSource = context.createBufferSource.bind(context);
+            context.createBufferSource = function() {
+              const source = originalCreateBufferSource();
+              
+              try {
+                // Monitor buffer property setting
+                let bufferValue = null;
+                Object.defineProperty(source, 'buffer', {
+                  get: function() {
+                    return bufferValue;
+                  },
+                  set: function(value) {
+                    bufferValue = value;
+                    try {
+                      if (value) {
+                        detectAudioBuffer(value, 'bufferSource');
+                      }
+                    } catch (e) {
+                      console.error('[DataURI Exporter] detectAudioBuffer in buffer setter error:', e);
+                    }
+                  },
+                  configurable: true,
+                  enumerable: true
+                });
+                
+                // Intercept start method
+                if (source.start && typeof source.start === 'function') {
+                  const originalStart = source.start.bind(source);
+                  source.start = function(...args) {
+                    try {
+                      if (bufferValue) {
+                        detectAudioBuffer(bufferValue, 'bufferSource');
+                      }
+                    } catch (e) {
+                      console.error('[DataURI Exporter] detectAudioBuffer in start error:', e);
+                    }
+                    return originalStart(...args);
+                  };
+                }
+              } catch (e) {
+                console.error('[DataURI Exporter] Failed to intercept createBufferSource property:', e);
+              }
+              
+              return source;
+            };
+          } catch (e) {
+            console.error('[DataURI Exporter] Failed to intercept createBufferSource:', e);
+          }
+        }
+        
+        // Record ScriptProcessor input (deprecated but may still be used)
+        if (window.__exporterConfig.interceptCreateScriptProcessor && context.createScriptProcessor && typeof context.createScriptProcessor === 'function') {
+          try {
+            const originalCreateScriptProcessor = context.createScriptProcessor.bind(context);
+            context.createScriptProcessor = function(...args) {
+              const processor = originalCreateScriptProcessor(...args);
+              
+              try {
+                // A listener instead of onaudioprocess, which the page may set later
+                let recorder = null;
+                processor.addEventListener('audioprocess', (event) => {
+                  if (!recording) return;
+                  if (!recorder || !recorder.active) {
+                    recorder = createRecorder('scriptProcessor', context.sampleRate);
+                  }
+                  recordAudio(recorder, event.inputBuffer);
+                });
+              } catch (e) {
+                console.error('[DataURI Exporter] Failed to intercept audioprocess:', e);
+              }
+              
+              return processor;
+            };
+          } catch (e) {
+            console.error('[DataURI Exporter] Failed to intercept createScriptProcessor:', e);
+          }
+        }
+      } catch (e) {
+        console.error('[DataURI Exporter] interceptAudioContext error:', e);
+      }
+    }
+    
+    // Intercept WebAudio API
+    try {
+      if (window.__exporterConfig.interceptAudioContext && (window.AudioContext || window.webkitAudioContext)) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const OriginalAudioContext = AudioContextClass;
+        
+        // Override AudioContext constructor
+        window.AudioContext = function(...args) {
+          try {
+            const context = new OriginalAudioContext(...args);
+            interceptAudioContext(context);
+            registerAudioContext(context);
+            return context;
+          } catch (e) {
+            console.error('[DataURI Exporter] AudioContext constructor interception failed:', e);
+            // If interception fails, return original context
+            return new OriginalAudioContext(...args);
+          }
+        };
+        
+        // Copy prototype and static properties
+        try {
+          Object.setPrototypeOf(window.AudioContext, OriginalAudioContext);
+          Object.setPrototypeOf(window.AudioContext.prototype, OriginalAudioContext.prototype);
+          Object.keys(OriginalAudioContext).forEach(key => {
+            if (!(key in window.AudioContext)) {
+              window.AudioContext[key] = OriginalAudioContext[key];
+            }
+          });
+        } catch (e) {
+          console.error('[DataURI Exporter] Failed to copy AudioContext prototype:', e);
+        }
+        
+        window.webkitAudioContext = window.AudioContext;
+        
+        // Intercept OfflineAudioContext
+        if (window.__exporterConfig.interceptOfflineAudioContext && (window.OfflineAudioContext || window.webkitOfflineAudioContext)) {
+          const OfflineAudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+          const OriginalOfflineAudioContext = OfflineAudioContextClass;
+          
+          window.OfflineAudioContext = function(...args) {
+            try {
+              const context = new OriginalOfflineAudioContext(...args);
+              interceptAudioContext(context);
+              
+              // Intercept startRendering
+              if (context.startRendering && typeof context.startRendering === 'function') {
+                try {
+                  const originalStartRendering = context.startRendering.bind(context);
+                  context.startRendering = function() {
+                    return originalStartRendering().then((audioBuffer) => {
+                      try {
+                        detectAudioBuffer(audioBuffer, 'startRendering');
+                      } catch (e) {
+                        console.error('[DataURI Exporter] detectAudioBuffer in startRendering error:', e);
+                      }
+                      return audioBuffer;
+                    });
+                  };
+                } catch (e) {
+                  console.error('[DataURI Exporter] Failed to intercept startRendering:', e);
+                }
+              }
+              
+              return context;
+            } catch (e) {
+              console.error('[DataURI Exporter] OfflineAudioContext constructor interception failed:', e);
+              // If interception fails, return original context
+              return new OriginalOfflineAudioContext(...args);
+            }
+          };
+          
+          // Copy prototype and static properties
+          try {
+            Object.setPrototypeOf(window.OfflineAudioContext, OriginalOfflineAudioContext);
+            Object.setPrototypeOf(window.OfflineAudioContext.prototype, OriginalOfflineAudioContext.prototype);
+            Object.keys(OriginalOfflineAudioContext).forEach(key => {
+              if (!(key in window.OfflineAudioContext)) {
+                window.OfflineAudioContext[key] = OriginalOfflineAudioContext[key];
+              }
+            });
+          } catch (e) {
+            console.error('[DataURI Exporter] Failed to copy OfflineAudioContext prototype:', e);
+          }
+          
+          window.webkitOfflineAudioContext = window.OfflineAudioContext;
+        }
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] WebAudio API interception failed:', e);
+    }
+    
+    // After page loads, try to intercept existing AudioContext
+    function interceptExistingContexts() {
+      try {
+        // Find all possible AudioContext instances
+        if (window.AudioContext || window.webkitAudioContext) {
+          // Try to find AudioContext instances from global variables
+          for (const key in window) {
+            try {
+              const value = window[key];
+              if (value && typeof value === 'object') {
+                // Check if it's an AudioContext instance
+                if (value.constructor && (
+                  value.constructor.name === 'AudioContext' ||
+                  value.constructor.name === 'webkitAudioContext'
+                )) {
+                  interceptAudioContext(value);
+                  registerAudioContext(value);
+                }
+              }
+            } catch (e) {
+              console.error('[DataURI Exporter] Failed to access window property:', key, e);
+            }
+          }
+        }
+      } catch (e) {
+        console.error('[DataURI Exporter] interceptExistingContexts error:', e);
+      }
+    }
+    
+    // Try to intercept after DOM loads
+    try {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', interceptExistingContexts);
+      } else {
+        interceptExistingContexts();
+      }
+      
+      // Delay execution to ensure page scripts have run
+      setTimeout(interceptExistingContexts, 1000);
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to setup interceptExistingContexts:', e);
+    }
+    
+    // Blobs already sent to Node.js
+    const detectedBlobs = new WeakSet();
+    // blob: URLs already handled
+    const detectedBlobURLs = new Set();
+    // blob: URL -> Blob, recorded by the URL.createObjectURL hook
+    const objectURLBlobs = new Map();
+    // Native fetch, used to read back blob: URLs
+    const nativeFetch = window.fetch ? window.fetch.bind(window) : null;
+    
+    // Function to send a Blob's bytes to Node.js
+    // The blob's type is used as the MIME type
+    // extra: additional info fields for Node.js (e.g. decodeId)
+    // Returns a promise that settles once Node.js has processed the blob
+    function detectBlob(blob, source, blobUrl, extra) {
+      try {
+        if (!blob || blob.size === 0 || detectedBlobs.has(blob)) {
+          return Promise.resolve();
+        }
+        detectedBlobs.add(blob);
+        
+        return transfer('blob', blob, { mimeType: blob.type || '' }, { source, frameUrl: location.href, blobUrl: blobUrl || null, ...extra });
+      } catch (e) {
+        console.error('[DataURI Exporter] detectBlob error:', e);
+        return Promise.resolve();
+      }
+    }
+    
+    // Function to detect a blob: URL and read its contents
+    // element: naming hints of the element it was found on (see describeElement)
+    function detectBlobURL(url, source, element) {
+      try {
+        if (!window.__exporterConfig.interceptBlobs || typeof url !== 'string' || !url.startsWith('blob:')) {
+          return;
+        }
+        if (detectedBlobURLs.has(url)) {
+          return;
+        }
+        detectedBlobURLs.add(url);
+        
+        const extra = element ? { element } : undefined;
+        const blob = objectURLBlobs.get(url);
+        if (blob) {
+          detectBlob(blob, source, url, extra);
+          return;
+        }
+        
+        // Created before the hook or in another context: read it back while it is alive
+        if (nativeFetch) {
+          nativeFetch(url)
+            .then(response => response.blob())
+            .then(fetchedBlob => detectBlob(fetchedBlob, source, url, extra))
+            .catch(() => {});
+        }
+      } catch (e) {
+        console.error('[DataURI Exporter] detectBlobURL error:', e);
+      }
+    }
+    
+    // Let the page scan (collectDataURIs) hand over blob: URLs it finds
+    window.__exporterDetectBlobURL = detectBlobURL;
+    
+    // Intercept URL.createObjectURL and Blob/File construction
+    try {
+      if (window.__exporterConfig.interceptBlobs) {
+        if (window.URL && typeof URL.createObjectURL === 'function') {
+          const originalCreateObjectURL = URL.createObjectURL;
+          URL.createObjectURL = function(object) {
+            const url = originalCreateObjectURL.apply(this, arguments);
+            try {
+              // MediaSource objects are not Blobs and have nothing to read
+              if (NativeBlob && object instanceof NativeBlob) {
+                objectURLBlobs.set(url, object);
+                detectBlobURL(url, 'createObjectURL');
+              }
+            } catch (e) {
+              console.error('[DataURI Exporter] detectBlob in createObjectURL error:', e);
+            }
+            return url;
+          };
+          
+          const originalRevokeObjectURL = URL.revokeObjectURL;
+          URL.revokeObjectURL = function(url) {
+            objectURLBlobs.delete(url);
+            return originalRevokeObjectURL.apply(this, arguments);
+          };
+        }
+        
+        // Only media-like blobs are captured at construction time
+        const isMediaBlobType = (type) => /^(image|audio|video|font)\/|^application\/(font|x-font|pdf|wasm|ogg)/i.test(type || '');
+        
+        // Subclasses keep the prototype chain intact, and hasInstance keeps
+        // instanceof working for native blobs (fetch, canvas.toBlob, ...)
+        if (window.Blob) {
+          const OriginalBlob = window.Blob;
+          window.Blob = class Blob extends OriginalBlob {
+            static [Symbol.hasInstance](object) {
+              return object instanceof OriginalBlob;
+            }
+            
+            constructor(...args) {
+              super(...args);
+              try {
+                if (isMediaBlobType(this.type)) {
+                  detectBlob(this, 'Blob');
+                }
+              } catch (e) {
+                console.error('[DataURI Exporter] detectBlob in Blob constructor error:', e);
+              }
+            }
+          };
+        }
+        
+        if (window.File) {
+          const OriginalFile = window.File;
+          window.File = class File extends OriginalFile {
+            static [Symbol.hasInstance](object) {
+              return object instanceof OriginalFile;
+            }
+            
+            constructor(...args) {
+              super(...args);
+              try {
+                if (isMediaBlobType(this.type)) {
+                  detectBlob(this, 'File');
+                }
+              } catch (e) {
+                console.error('[DataURI Exporter] detectBlob in File constructor error:', e);
+              }
+            }
+          };
+        }
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept Blob APIs:', e);
+    }
+    
+    // Intercept WebGL texture uploads (opt-in)
+    // Level 0 of texImage2D/texSubImage2D/compressedTexImage2D/
+    // compressedTexSubImage2D, in WebGL and WebGL2 (including the WebGL2
+    // overloads with a source offset):
+    //   - <img> with a data:/blob: URL and <video>: the element's URL
+    //   - other images, canvases, ImageBitmaps, ImageData, VideoFrames: their
+    //     pixels, drawn into an OffscreenCanvas and encoded as PNG
+    //   - ArrayBufferView pixel data: sent with width, height, format, type
+    //     and row stride, and encoded as PNG by Node.js
+    //   - compressed data: sent as is, and wrapped in DDS/KTX by Node.js
+    // Each source object and each range of an ArrayBuffer is captured once,
+    // so textures updated every frame (video, emulator screens) are not saved
+    // repeatedly.
+    // Uploads from pixel unpack buffers (WebGL2 PBO offsets) are skipped.
+    try {
+      if (window.__exporterConfig.captureTextures && (window.WebGLRenderingContext || window.WebGL2RenderingContext)) {
+        const UNPACK_ROW_LENGTH = 0x0CF2;
+        const UNPACK_SKIP_ROWS = 0x0CF3;
+        const UNPACK_SKIP_PIXELS = 0x0CF4;
+        const UNPACK_ALIGNMENT = 0x0CF5;
+        // Before the canvas hooks wrap it, so texture PNGs keep their own source
+        const nativeConvertToBlob = window.OffscreenCanvas ? OffscreenCanvas.prototype.convertToBlob : null;
+        // Texture sources already captured
+        const capturedTextureSources = new WeakSet();
+        // ArrayBuffer -> byte ranges already captured ("start:size"); one
+        // buffer can hold many textures (WebAssembly memory)
+        const capturedRanges = new WeakMap();
+        const claimRange = (buffer, start, size) => {
+          const ranges = capturedRanges.get(buffer) || new Set();
+          capturedRanges.set(buffer, ranges);
+          const key = `${start}:${size}`;
+          if (ranges.has(key)) return false;
+          ranges.add(key);
+          return true;
+        };
+        // Context -> pixelStorei unpack parameters
+        const unpackParameters = new WeakMap();
+        
+        // Bytes per pixel of a format/type pair, 0 if not supported
+        // (same table as lib/texture.js)
+        const formatComponents = { 0x1906: 1, 0x1909: 1, 0x1903: 1, 0x190A: 2, 0x8227: 2, 0x1907: 3, 0x8C40: 3, 0x1908: 4, 0x8C42: 4 };
+        const typeSizes = { 0x1401: 1, 0x140B: 2, 0x8D61: 2, 0x1406: 4 };
+        const packedTypes = { 0x8363: 3, 0x8033: 4, 0x8034: 4 };
+        const bytesPerPixel = (format, type) => {
+          const components = formatComponents[format];
+          if (!components) return 0;
+          if (packedTypes[type]) return packedTypes[type] === components ? 2 : 0;
+          return typeSizes[type] ? components * typeSizes[type] : 0;
+        };
+        
+        const isTextureSource = (value) => value && typeof value === 'object' && !ArrayBuffer.isView(value);
+        
+        // Image, canvas, ImageBitmap, ImageData, video or VideoFrame
+        const captureTextureSource = (source, method) => {
+          if (capturedTextureSources.has(source)) return;
+          capturedTextureSources.add(source);
+          
+          if (window.HTMLVideoElement && source instanceof HTMLVideoElement) {
+            detectElement(source, method);
+            return;
+          }
+          if (window.HTMLImageElement && source instanceof HTMLImageElement && /^(data|blob):/i.test(source.currentSrc || source.src)) {
+            detectElement(source, method);
+            return;
+          }
+          
+          const width = source.naturalWidth || source.displayWidth || source.width;
+          const height = source.naturalHeight || source.displayHeight || source.height;
+          if (!width || !height || !nativeConvertToBlob) return;
+          
+          const canvas = new OffscreenCanvas(width, height);
+          const context = canvas.getContext('2d');
+          if (window.ImageData && source instanceof ImageData) {
+            context.putImageData(source, 0, 0);
+          } else {
+            context.drawImage(source, 0, 0, width, height);
+          }
+          nativeConvertToBlob.call(canvas, { type: 'image/png' })
+            .then(blob => detectBlob(blob, method, null, { details: { textureSize: `${width}x${height}` } }))
+            .catch(() => {});
+        };
+        
+        // ArrayBufferView pixel data; offset counts elements (WebGL2 srcOffset)
+        const capturePixels = (gl, method, width, height, format, type, view, offset) => {
+          const pixelSize = bytesPerPixel(format, type);
+          if (!pixelSize || !width || !height) return;
+          
+          const unpack = unpackParameters.get(gl) || {};
+          const rowLength = unpack.rowLength || width;
+          const alignment = unpack.alignment || 4;
+          const stride = Math.ceil(rowLength * pixelSize / alignment) * alignment;
+          const start = view.byteOffset + (offset || 0) * (view.BYTES_PER_ELEMENT || 1)
+            + (unpack.skipRows || 0) * stride + (unpack.skipPixels || 0) * pixelSize;
+          const size = stride * (height - 1) + width * pixelSize;
+          if (start + size > view.byteOffset + view.byteLength || !claimRange(view.buffer, start, size)) return;
+          
+          const bytes = new Uint8Array(view.buffer, start, size).slice();
+          transfer('texture', bytes, { width, height, format, type, stride }, { source: method, frameUrl: location.href });
+        };
+        
+        // Compressed data; offset counts elements, length overrides the rest of the view
+        const captureCompressed = (method, width, height, internalFormat, view, offset, length) => {
+          if (!ArrayBuffer.isView(view) || !width || !height) return;
+          const elementSize = view.BYTES_PER_ELEMENT || 1;
+          const start = view.byteOffset + (offset || 0) * elementSize;
+          const size = length ? length * elementSize : view.byteOffset + view.byteLength - start;
+          if (size <= 0 || start + size > view.byteOffset + view.byteLength || !claimRange(view.buffer, start, size)) return;
+          
+          const bytes = new Uint8Array(view.buffer, start, size).slice();
+          transfer('texture', bytes, { width, height, internalFormat, compressed: true }, { source: method, frameUrl: location.href });
+        };
+        
+        const hookTextureUploads = (prototype) => {
+          const wrap = (method, capture) => {
+            const original = prototype[method];
+            if (typeof original !== 'function') return;
+            prototype[method] = function(...args) {
+              // Upload first: a failing upload (e.g. cross-origin image) is not captured
+              const result = original.apply(this, args);
+              try {
+                if (args[1] === 0) {
+                  capture(this, args);
+                }
+              } catch (e) {
+                console.error(`[DataURI Exporter] ${method} interception error:`, e);
+              }
+              return result;
+            };
+          };
+          
+          // (target, level, internalformat, format, type, source)
+          // (target, level, internalformat, width, height, border, format, type, pixels | source | pboOffset[, srcOffset])
+          wrap('texImage2D', (gl, args) => {
+            if (args.length === 6) {
+              if (isTextureSource(args[5])) captureTextureSource(args[5], 'texImage2D');
+            } else if (ArrayBuffer.isView(args[8])) {
+              capturePixels(gl, 'texImage2D', args[3], args[4], args[6], args[7], args[8], args[9]);
+            } else if (isTextureSource(args[8])) {
+              captureTextureSource(args[8], 'texImage2D');
+            }
+          });
+          
+          // (target, level, xoffset, yoffset, format, type, source)
+          // (target, level, xoffset, yoffset, width, height, format, type, pixels | source | pboOffset[, srcOffset])
+          wrap('texSubImage2D', (gl, args) => {
+            if (args.length === 7) {
+              if (isTextureSource(args[6])) captureTextureSource(args[6], 'texSubImage2D');
+            } else if (ArrayBuffer.isView(args[8])) {
+              capturePixels(gl, 'texSubImage2D', args[4], args[5], args[6], args[7], args[8], args[9]);
+            } else if (isTextureSource(args[8])) {
+              captureTextureSource(args[8], 'texSubImage2D');
+            }
+          });
+          
+          // (target, level, internalformat, width, height, border, data[, srcOffset, srcLengthOverride])
+          wrap('compressedTexImage2D', (gl, args) => {
+            captureCompressed('compressedTexImage2D', args[3], args[4], args[2], args[6], args[7], args[8]);
+          });
+          
+          // (target, level, xoffset, yoffset, width, height, format, data[, srcOffset, srcLengthOverride])
+          wrap('compressedTexSubImage2D', (gl, args) => {
+            captureCompressed('compressedTexSubImage2D', args[4], args[5], args[6], args[7], args[8], args[9]);
+          });
+          
+          // Track the unpack parameters that change the layout of pixel data
+          const originalPixelStorei = prototype.pixelStorei;
+          prototype.pixelStorei = function(pname, param) {
+            try {
+              const names = { [UNPACK_ALIGNMENT]: 'alignment', [UNPACK_ROW_LENGTH]: 'rowLength', [UNPACK_SKIP_ROWS]: 'skipRows', [UNPACK_SKIP_PIXELS]: 'skipPixels' };
+              if (names[pname]) {
+                const unpack = unpackParameters.get(this) || {};
+                unpack[names[pname]] = param;
+                unpackParameters.set(this, unpack);
+              }
+            } catch (e) {
+              console.error('[DataURI Exporter] pixelStorei interception error:', e);
+            }
+            return originalPixelStorei.apply(this, arguments);
+          };
+        };
+        
+        if (window.WebGLRenderingContext) {
+          hookTextureUploads(WebGLRenderingContext.prototype);
+        }
+        if (window.WebGL2RenderingContext) {
+          hookTextureUploads(WebGL2RenderingContext.prototype);
+        }
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept WebGL textures:', e);
+    }
+    
+    // Intercept canvas exports (toDataURL, toBlob, convertToBlob)
+    // Only what the page itself exports is captured: the hooks never request a
+    // context or read pixels, so WebGL/WebGPU canvases are left untouched
+    try {
+      if (window.__exporterConfig.captureCanvas) {
+        if (window.HTMLCanvasElement) {
+          const originalToDataURL = HTMLCanvasElement.prototype.toDataURL;
+          HTMLCanvasElement.prototype.toDataURL = function() {
+            const result = originalToDataURL.apply(this, arguments);
+            detectDataURI(result, 'toDataURL');
+            return result;
+          };
+          
+          const originalToBlob = HTMLCanvasElement.prototype.toBlob;
+          HTMLCanvasElement.prototype.toBlob = function(callback, ...args) {
+            const wrappedCallback = function(blob) {
+              try {
+                detectBlob(blob, 'toBlob');
+              } catch (e) {
+                console.error('[DataURI Exporter] detectBlob in toBlob error:', e);
+              }
+              if (typeof callback === 'function') {
+                return callback.apply(this, arguments);
+              }
+            };
+            return originalToBlob.call(this, wrappedCallback, ...args);
+          };
+        }
+        
+        if (window.OffscreenCanvas && OffscreenCanvas.prototype.convertToBlob) {
+          const originalConvertToBlob = OffscreenCanvas.prototype.convertToBlob;
+          OffscreenCanvas.prototype.convertToBlob = function() {
+            const promise = originalConvertToBlob.apply(this, arguments);
+            promise.then(blob => detectBlob(blob, 'convertToBlob')).catch(() => {});
+            return promise;
+          };
+        }
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept canvas exports:', e);
+    }
+    
+    // Intercept fetch
+    try {
+      if (window.__exporterConfig.interceptFetch && window.fetch && typeof window.fetch === 'function') {
+        const originalFetch = window.fetch;
+        window.fetch = function(...args) {
+          try {
+            const url = args[0];
+            detectDataURI(url, 'fetch');
+            detectBlobURL(url, 'fetch');
+          } catch (e) {
+            console.error('[DataURI Exporter] detectDataURI in fetch error:', e);
+          }
+          return originalFetch.apply(this, args);
+        };
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept fetch:', e);
+    }
+    
+    // Intercept XMLHttpRequest
+    try {
+      if (window.__exporterConfig.interceptXHR && XMLHttpRequest && XMLHttpRequest.prototype && XMLHttpRequest.prototype.open) {
+        const originalOpen = XMLHttpRequest.prototype.open;
+        XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+          try {
+            detectDataURI(url, 'xhr');
+            detectBlobURL(url, 'xhr');
+          } catch (e) {
+            console.error('[DataURI Exporter] detectDataURI in XMLHttpRequest error:', e);
+          }
+          return originalOpen.apply(this, [method, url, ...rest]);
+        };
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept XMLHttpRequest:', e);
+    }
+    
+    // Intercept WebSocket, EventSource and postMessage messages
+    // Strings that contain a data URI or a long base64 run, and binary
+    // payloads that start like a known file, are sent to Node.js, which
+    // extracts the files (lib/embedded.js, lib/file-type.js)
+    try {
+      if (window.__exporterConfig.interceptMessages) {
+        // Leading bytes of the file types lib/file-type.js detects (latin1)
+        // ("ftyp" at offset 4 and MPEG audio frames are checked separately)
+        const fileSignatures = [
+          '\x89PNG', '\xFF\xD8\xFF', 'GIF8', 'RIFF', 'OggS', 'fLaC', 'ID3', 'MThd',
+          'wOFF', 'wOF2', 'OTTO', '\x00\x01\x00\x00', 'ttcf', '%PDF', 'PK\x03\x04', '\x1F\x8B',
+          '\x00asm', '\x1A\x45\xDF\xA3', 'BM', '\x00\x00\x01\x00', '\x00\x00\x02\x00',
+          'II*\x00', 'MM\x00*', '\xABKTX', 'DDS ', '<svg', '<?xml',
+        ];
+        const looksLikeFile = (bytes) => {
+          if (bytes.length >= 8 && bytes[4] === 0x66 && bytes[5] === 0x74 && bytes[6] === 0x79 && bytes[7] === 0x70) {
+            return true;
+          }
+          if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+            return true;
+          }
+          return fileSignatures.some(signature => {
+            for (let i = 0; i < signature.length; i++) {
+              if (bytes[i] !== signature.charCodeAt(i)) return false;
+            }
+            return true;
+          });
+        };
+        const MIN_MESSAGE_BYTES = 16;
+        const embeddedPattern = /data:[a-z]+\\?\/|[A-Za-z0-9+/]{256}/i;
+        
+        // Check one payload, walking arrays and objects of structured clones
+        // info: { source, frameUrl, details: { sourceUrl } }
+        const inspectMessage = (data, info, depth) => {
+          if (typeof data === 'string') {
+            if (embeddedPattern.test(data)) {
+              transfer('message', data, { text: true }, info);
+            }
+          } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            const bytes = data instanceof ArrayBuffer
+              ? new Uint8Array(data)
+              : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            if (bytes.length >= MIN_MESSAGE_BYTES && looksLikeFile(bytes)) {
+              // Copied now, the page may reuse the buffer before the transfer runs
+              transfer('message', new NativeBlob([bytes]), {}, info);
+            }
+          } else if (data instanceof NativeBlob) {
+            if (data.size >= MIN_MESSAGE_BYTES) {
+              data.slice(0, 16).arrayBuffer().then((head) => {
+                if (looksLikeFile(new Uint8Array(head))) {
+                  transfer('message', data, {}, info);
+                }
+              }).catch(() => {});
+            }
+          } else if (data && typeof data === 'object' && depth < 4) {
+            const values = Array.isArray(data) ? data : Object.values(data);
+            values.slice(0, 1000).forEach(value => inspectMessage(value, info, depth + 1));
+          }
+        };
+        const inspectEvent = (event, source, sourceUrl) => {
+          try {
+            inspectMessage(event.data, { source, frameUrl: location.href, details: { sourceUrl } }, 0);
+          } catch (e) {
+            console.error('[DataURI Exporter] inspectMessage error:', e);
+          }
+        };
+        
+        // WebSocket: frames received (listener added to every socket) and sent
+        if (window.WebSocket) {
+          const originalSend = WebSocket.prototype.send;
+          WebSocket.prototype.send = function(data) {
+            try {
+              inspectMessage(data, { source: 'webSocketSend', frameUrl: location.href, details: { sourceUrl: this.url } }, 0);
+            } catch (e) {
+              console.error('[DataURI Exporter] inspectMessage in WebSocket.send error:', e);
+            }
+            return originalSend.apply(this, arguments);
+          };
+          window.WebSocket = new Proxy(window.WebSocket, {
+            construct(target, args, newTarget) {
+              const socket = Reflect.construct(target, args, newTarget);
+              socket.addEventListener('message', event => inspectEvent(event, 'webSocket', socket.url));
+              return socket;
+            }
+          });
+        }
+        
+        // EventSource: default "message" events, plus every named event type
+        // the page listens to
+        if (window.EventSource) {
+          const originalAddEventListener = EventSource.prototype.addEventListener;
+          const listenedTypes = new WeakMap();
+          const listenTo = (eventSource, type) => {
+            let types = listenedTypes.get(eventSource);
+            if (!types) {
+              types = new Set();
+              listenedTypes.set(eventSource, types);
+            }
+            if (types.has(type)) return;
+            types.add(type);
+            originalAddEventListener.call(eventSource, type, event => inspectEvent(event, 'eventSource', eventSource.url));
+          };
+          EventSource.prototype.addEventListener = function(type) {
+            try {
+              if (typeof type === 'string' && !['open', 'error'].includes(type)) {
+                listenTo(this, type);
+              }
+            } catch (e) {
+              console.error('[DataURI Exporter] EventSource.addEventListener hook error:', e);
+            }
+            return originalAddEventListener.apply(this, arguments);
+          };
+          window.EventSource = new Proxy(window.EventSource, {
+            construct(target, args, newTarget) {
+              const eventSource = Reflect.construct(target, args, newTarget);
+              listenTo(eventSource, 'message');
+              return eventSource;
+            }
+          });
+        }
+        
+        // postMessage from other frames and windows
+        window.addEventListener('message', event => inspectEvent(event, 'postMessage', event.origin || null), true);
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept messages:', e);
+    }
+    
+    // Extract every url(...) from a piece of CSS text
+    // Same rules as collectDataURIs (page scripts are serialized separately
+    // and cannot share helpers)
+    function cssURLs(cssText) {
+      if (!cssText || !/url\(/i.test(cssText)) {
+        return [];
+      }
+      const pattern = /url\(\s*(?:"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)'|([^)\s]*))\s*\)/gi;
+      return Array.from(cssText.matchAll(pattern), (match) => {
+        return (match[1] ?? match[2] ?? match[3]).replace(/\\(?:([0-9a-fA-F]{1,6})\s?|\n|([\s\S]))/g, (escape, hex, char) => {
+          if (hex) {
+            const code = parseInt(hex, 16);
+            return code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF) ? '\uFFFD' : String.fromCodePoint(code);
+          }
+          return char || '';
+        });
+      });
+    }
+    
+    // Parse the URLs out of a srcset attribute (HTML spec algorithm)
+    // Candidates are split on commas only after the URL, so data URIs,
+    // which contain commas themselves, come through whole
+    function srcsetURLs(srcset) {
+      const urls = [];
+      let pos = 0;
+      while (pos < srcset.length) {
+        while (pos < srcset.length && /[\s,]/.test(srcset[pos])) pos++;
+        if (pos >= srcset.length) break;
+        
+        const start = pos;
+        while (pos < srcset.length && !/\s/.test(srcset[pos])) pos++;
+        const url = srcset.slice(start, pos);
+        if (url.endsWith(',')) {
+          // No descriptors: the trailing commas end the candidate
+          urls.push(url.replace(/,+$/, ''));
+          continue;
+        }
+        urls.push(url);
+        
+        // Skip descriptors up to the next comma outside parentheses
+        let inParens = false;
+        while (pos < srcset.length) {
+          const char = srcset[pos++];
+          if (char === '(') inParens = true;
+          else if (char === ')') inParens = false;
+          else if (char === ',' && !inParens) break;
+        }
+      }
+      return urls;
+    }
+    
+    // Attributes that can hold a resource URL, by element local name
+    // (SVG elements are matched by their lower-cased local name)
+    const urlAttributes = {
+      a: ['href'],
+      img: ['src', 'srcset'],
+      source: ['src', 'srcset'],
+      audio: ['src'],
+      video: ['src', 'poster'],
+      track: ['src'],
+      embed: ['src'],
+      object: ['data'],
+      input: ['src'],
+      link: ['href'],
+      meta: ['content'],
+      image: ['href', 'xlink:href'],
+      use: ['href', 'xlink:href'],
+      feimage: ['href', 'xlink:href'],
+    };
+    const urlAttributeNames = new Set(['style', ...Object.values(urlAttributes).flat().map(name => name.replace('xlink:', ''))]);
+    
+    // Get every URL an element references through its attributes and inline style
+    function elementURLs(el) {
+      const urls = [];
+      if (!el || el.nodeType !== 1) {
+        return urls;
+      }
+      
+      const attributes = urlAttributes[(el.localName || '').toLowerCase()] || [];
+      attributes.forEach((name) => {
+        const value = el.getAttribute(name);
+        if (!value) return;
+        if (name === 'srcset') {
+          urls.push(...srcsetURLs(value));
+        } else if (name === 'content') {
+          // <meta content="data:..."> or <meta http-equiv=refresh content="0; url=data:...">
+          const match = value.match(/(?:^|url\s*=\s*['"]?)((?:data|blob):[^'"\s]*)/i);
+          if (match) urls.push(match[1]);
+        } else {
+          urls.push(value.trim());
+        }
+      });
+      
+      urls.push(...cssURLs(el.getAttribute('style')));
+      return urls;
+    }
+    
+    // Selector matching every element elementURLs can find something on
+    elementURLs.selector = [
+      ...Object.keys(urlAttributes).map(name => name === 'feimage' ? 'feImage' : name),
+      '[style*="url("]',
+    ].join(', ');
+    
+    // Let the page scan (collectDataURIs) use the same extractor
+    window.__exporterElementURLs = elementURLs;
+    
+    // DOM filter rules (selectorFilter): an element in the document is only
+    // captured when it, or an ancestor, matches an include selector and none
+    // matches an exclude selector (!selector). Elements that are not in the
+    // document (new Image(), ...) are not filtered.
+    const selectorRules = { include: [], exclude: [] };
+    (config.selectorFilter || []).forEach((rule) => {
+      if (rule.startsWith('!')) {
+        selectorRules.exclude.push(rule.slice(1).trim());
+      } else {
+        selectorRules.include.push(rule);
+      }
+    });
+    
+    // Invalid selectors match nothing; they are reported to Node.js, which
+    // stops the export instead of silently filtering everything out
+    const invalidSelectors = new Set();
+    [...selectorRules.include, ...selectorRules.exclude].forEach((selector) => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (e) {
+        invalidSelectors.add(selector);
+        console.error(`[DataURI Exporter] Invalid filter selector "${selector}":`, e);
+        window.__onInvalidSelector?.({ selector, message: e.message, frameUrl: location.href });
+      }
+    });
+    const closestMatches = (el, selector) => !invalidSelectors.has(selector) && el.closest(selector) !== null;
+    function isElementAllowed(el) {
+      if (!el || !el.isConnected || typeof el.closest !== 'function') {
+        return true;
+      }
+      if (selectorRules.include.length > 0 && !selectorRules.include.some(selector => closestMatches(el, selector))) {
+        return false;
+      }
+      return !selectorRules.exclude.some(selector => closestMatches(el, selector));
+    }
+    
+    // Report the data URIs and blob: URLs of a filtered element, once each
+    const filteredURLs = new Set();
+    function reportFilteredURLs(urls, source) {
+      urls.forEach((url) => {
+        if (!/^(data|blob):/i.test(url) || filteredURLs.has(url) || window.__detectedDataURIs.has(url) || detectedBlobURLs.has(url)) {
+          return;
+        }
+        filteredURLs.add(url);
+        window.__onAssetFiltered?.({ source, frameUrl: location.href });
+      });
+    }
+    
+    // Let the page scan apply the same rules
+    if (selectorRules.include.length > 0 || selectorRules.exclude.length > 0) {
+      window.__exporterElementAllowed = isElementAllowed;
+      window.__exporterReportFilteredURLs = reportFilteredURLs;
+    }
+    
+    // Naming hints of an element for filename templates (options.nameTemplate),
+    // or null when it has none
+    function describeElement(el) {
+      if (!el || el.nodeType !== 1) {
+        return null;
+      }
+      let hints = null;
+      ['id', 'alt', 'download', 'title'].forEach((name) => {
+        const value = (el.getAttribute(name) || '').trim();
+        if (value) {
+          hints = hints || {};
+          hints[name] = value.slice(0, 200);
+        }
+      });
+      return hints;
+    }
+    
+    // Let the page scan (collectDataURIs) name its finds the same way
+    window.__exporterDescribeElement = describeElement;
+    
+    // Detect data URIs and blob: URLs referenced by an element
+    function detectElement(el, source) {
+      const urls = elementURLs(el);
+      if (!isElementAllowed(el)) {
+        reportFilteredURLs(urls, source);
+        return;
+      }
+      const element = describeElement(el);
+      urls.forEach((url) => {
+        detectDataURI(url, source, element);
+        detectBlobURL(url, source, element);
+      });
+    }
+    
+    // Detect data URIs and blob: URLs in CSS text, filtered by the element
+    // that owns the stylesheet (<style> or <link>) when it has one
+    function detectCSS(cssText, source, owner) {
+      const urls = cssURLs(cssText);
+      if (owner && !isElementAllowed(owner)) {
+        reportFilteredURLs(urls, source);
+        return;
+      }
+      urls.forEach((url) => {
+        detectDataURI(url, source);
+        detectBlobURL(url, source);
+      });
+    }
+    
+    // Intercept programmatic resource loading that never touches the DOM
+    // (new Image(), new Audio(url), FontFace, createImageBitmap, constructed stylesheets)
+    try {
+      if (window.__exporterConfig.interceptLoaders) {
+        // Detect the data URIs and blob: URLs in a list of URLs
+        const detectURLs = (urls, source) => {
+          urls.forEach((url) => {
+            detectDataURI(url, source);
+            detectBlobURL(url, source);
+          });
+        };
+        
+        // src/srcset property setters on <img> and <audio>/<video>
+        const hookSetter = (proto, property, source) => {
+          const descriptor = proto && Object.getOwnPropertyDescriptor(proto, property);
+          if (!descriptor || !descriptor.set || !descriptor.configurable) {
+            return;
+          }
+          Object.defineProperty(proto, property, {
+            ...descriptor,
+            set(value) {
+              descriptor.set.call(this, value);
+              try {
+                detectElement(this, source);
+              } catch (e) {
+                console.error(`[DataURI Exporter] detectElement in ${property} setter error:`, e);
+              }
+            }
+          });
+        };
+        hookSetter(window.HTMLImageElement?.prototype, 'src', 'imageSrc');
+        hookSetter(window.HTMLImageElement?.prototype, 'srcset', 'imageSrc');
+        hookSetter(window.HTMLMediaElement?.prototype, 'src', 'mediaSrc');
+        
+        // setAttribute('src', ...) on elements that are not in the DOM yet
+        if (window.Element && Element.prototype.setAttribute) {
+          const originalSetAttribute = Element.prototype.setAttribute;
+          Element.prototype.setAttribute = function(name) {
+            const result = originalSetAttribute.apply(this, arguments);
+            try {
+              if (!this.isConnected && /^(src|srcset)$/i.test(String(name))) {
+                const isImage = window.HTMLImageElement && this instanceof HTMLImageElement;
+                const isMedia = window.HTMLMediaElement && this instanceof HTMLMediaElement;
+                if (isImage || isMedia) {
+                  detectElement(this, isImage ? 'imageSrc' : 'mediaSrc');
+                }
+              }
+            } catch (e) {
+              console.error('[DataURI Exporter] detectElement in setAttribute error:', e);
+            }
+            return result;
+          };
+        }
+        
+        // new Audio(url) sets src without going through the property setter
+        if (window.Audio) {
+          window.Audio = new Proxy(window.Audio, {
+            construct(target, args, newTarget) {
+              const audio = Reflect.construct(target, args, newTarget);
+              try {
+                if (typeof args[0] === 'string') {
+                  detectURLs([args[0]], 'Audio');
+                }
+              } catch (e) {
+                console.error('[DataURI Exporter] detectDataURI in Audio constructor error:', e);
+              }
+              return audio;
+            }
+          });
+        }
+        
+        // FontFace: sources are recorded at construction and reported once the
+        // font is used (document.fonts.add or load), so unused faces are skipped
+        const fontFaceSources = new WeakMap();
+        const reportedFontFaces = new WeakSet();
+        
+        // Guess a font type from its first bytes, so binary sources are
+        // saved with a font MIME type instead of application/octet-stream
+        const fontMimeType = (bytes) => {
+          const tag = String.fromCharCode(...bytes.subarray(0, 4));
+          if (tag === 'wOFF') return 'font/woff';
+          if (tag === 'wOF2') return 'font/woff2';
+          if (tag === 'OTTO') return 'font/otf';
+          if (tag === 'ttcf') return 'font/collection';
+          return 'font/ttf';
+        };
+        
+        const reportFontFace = (face) => {
+          const source = fontFaceSources.get(face);
+          if (!source || reportedFontFaces.has(face)) {
+            return;
+          }
+          reportedFontFaces.add(face);
+          if (typeof source === 'string') {
+            detectURLs(cssURLs(source), 'FontFace');
+          } else if (NativeBlob) {
+            detectBlob(new NativeBlob([source], { type: fontMimeType(source) }), 'FontFace');
+          }
+        };
+        
+        if (window.FontFace) {
+          window.FontFace = new Proxy(window.FontFace, {
+            construct(target, args, newTarget) {
+              const face = Reflect.construct(target, args, newTarget);
+              try {
+                const source = args[1];
+                if (typeof source === 'string') {
+                  fontFaceSources.set(face, source);
+                } else if (source instanceof ArrayBuffer) {
+                  fontFaceSources.set(face, new Uint8Array(source.slice(0)));
+                } else if (ArrayBuffer.isView(source)) {
+                  fontFaceSources.set(face, new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)));
+                }
+                // Binary sources are loaded right away, without load() or add()
+                if (typeof source !== 'string') {
+                  reportFontFace(face);
+                }
+              } catch (e) {
+                console.error('[DataURI Exporter] Failed to record FontFace source:', e);
+              }
+              return face;
+            }
+          });
+          
+          const originalLoad = window.FontFace.prototype.load;
+          window.FontFace.prototype.load = function() {
+            reportFontFace(this);
+            return originalLoad.apply(this, arguments);
+          };
+        }
+        
+        if (window.FontFaceSet && FontFaceSet.prototype.add) {
+          const originalAdd = FontFaceSet.prototype.add;
+          FontFaceSet.prototype.add = function(face) {
+            reportFontFace(face);
+            return originalAdd.apply(this, arguments);
+          };
+        }
+        
+        // createImageBitmap(blob) decodes a Blob without any URL
+        if (typeof window.createImageBitmap === 'function') {
+          const originalCreateImageBitmap = window.createImageBitmap;
+          window.createImageBitmap = function(image) {
+            try {
+              if (NativeBlob && image instanceof NativeBlob) {
+                detectBlob(image, 'createImageBitmap');
+              } else if (window.HTMLImageElement && image instanceof HTMLImageElement) {
+                detectElement(image, 'createImageBitmap');
+              }
+            } catch (e) {
+              console.error('[DataURI Exporter] detectBlob in createImageBitmap error:', e);
+            }
+            return originalCreateImageBitmap.apply(this, arguments);
+          };
+        }
+        
+        // Constructable stylesheets: replace(), replaceSync() and insertRule()
+        if (window.CSSStyleSheet) {
+          ['replace', 'replaceSync', 'insertRule'].forEach((method) => {
+            const original = CSSStyleSheet.prototype[method];
+            if (typeof original !== 'function') return;
+            CSSStyleSheet.prototype[method] = function(text) {
+              try {
+                detectCSS(String(text), method, this.ownerNode);
+              } catch (e) {
+                console.error(`[DataURI Exporter] detectDataURI in ${method} error:`, e);
+              }
+              return original.apply(this, arguments);
+            };
+          });
+        }
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept resource loaders:', e);
+    }
+    
+    // Intercept Media Source Extensions
+    // Streaming players append fMP4/WebM segments to SourceBuffers instead of
+    // loading a file. Every appended segment is sent to Node.js, which joins
+    // the segments of each SourceBuffer into one file, init segment first.
+    // A stream ends when its SourceBuffer is removed, its MediaSource closes
+    // or its type changes (changeType() starts a new stream).
+    try {
+      if (window.__exporterConfig.interceptMediaSource && window.MediaSource && window.SourceBuffer) {
+        const streamPrefix = Math.random().toString(36).slice(2, 10);
+        let streamCounter = 0;
+        // SourceBuffer -> { id, mimeType, segments, skipped, finished }
+        // skipped counts the segments too large to send; every segment
+        // carries the count so far, so Node.js knows which file misses them
+        const sourceBufferStreams = new WeakMap();
+        
+        const startStream = (sourceBuffer, mimeType) => {
+          sourceBufferStreams.set(sourceBuffer, {
+            id: `${streamPrefix}-${++streamCounter}`,
+            mimeType: String(mimeType),
+            segments: 0,
+            skipped: 0,
+            finished: false,
+            info: { source: 'mediaSource', frameUrl: location.href },
+          });
+        };
+        
+        const finishStream = (sourceBuffer) => {
+          const stream = sourceBufferStreams.get(sourceBuffer);
+          if (!stream || stream.finished) return;
+          stream.finished = true;
+          if (stream.segments > 0) {
+            transfer('segment', new Uint8Array(0), { streamId: stream.id, mimeType: stream.mimeType, final: true, skipped: stream.skipped }, stream.info);
+          }
+        };
+        
+        const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+        MediaSource.prototype.addSourceBuffer = function(type) {
+          const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+          try {
+            startStream(sourceBuffer, type);
+            this.addEventListener('sourceclose', () => finishStream(sourceBuffer));
+          } catch (e) {
+            console.error('[DataURI Exporter] addSourceBuffer interception error:', e);
+          }
+          return sourceBuffer;
+        };
+        
+        const originalRemoveSourceBuffer = MediaSource.prototype.removeSourceBuffer;
+        MediaSource.prototype.removeSourceBuffer = function(sourceBuffer) {
+          try {
+            finishStream(sourceBuffer);
+          } catch (e) {
+            console.error('[DataURI Exporter] removeSourceBuffer interception error:', e);
+          }
+          return originalRemoveSourceBuffer.apply(this, arguments);
+        };
+        
+        const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+        SourceBuffer.prototype.appendBuffer = function(data) {
+          try {
+            const stream = sourceBufferStreams.get(this);
+            if (stream && !stream.finished && data) {
+              // Copy now: players reuse their buffers
+              const bytes = ArrayBuffer.isView(data)
+                ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice()
+                : new Uint8Array(data).slice();
+              const refusal = bytes.length > 0 ? transferRefusal(bytes.length) : null;
+              if (refusal) {
+                stream.segments++;
+                stream.skipped++;
+                skipTransfer('segment', bytes.length, refusal, stream.info);
+              } else if (bytes.length > 0) {
+                stream.segments++;
+                transfer('segment', bytes, { streamId: stream.id, mimeType: stream.mimeType, final: false, skipped: stream.skipped }, stream.info);
+              }
+            }
+          } catch (e) {
+            console.error('[DataURI Exporter] appendBuffer interception error:', e);
+          }
+          return originalAppendBuffer.apply(this, arguments);
+        };
+        
+        if (typeof SourceBuffer.prototype.changeType === 'function') {
+          const originalChangeType = SourceBuffer.prototype.changeType;
+          SourceBuffer.prototype.changeType = function(type) {
+            try {
+              finishStream(this);
+              startStream(this, type);
+            } catch (e) {
+              console.error('[DataURI Exporter] changeType interception error:', e);
+            }
+            return originalChangeType.apply(this, arguments);
+          };
+        }
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept Media Source Extensions:', e);
+    }
+    
+    // Use MutationObserver to monitor DOM changes
+    let observer = null;
+    try {
+      if (window.__exporterConfig.useMutationObserver) {
+        observer = new MutationObserver((mutations) => {
+          try {
+            mutations.forEach((mutation) => {
+              try {
+                // Changed attributes on an existing element (src swaps, lazy loading, ...)
+                if (mutation.type === 'attributes') {
+                  if (urlAttributeNames.has(mutation.attributeName)) {
+                    detectElement(mutation.target, 'mutation');
+                  }
+                  return;
+                }
+                
+                mutation.addedNodes.forEach((node) => {
+                  try {
+                    if (node && node.nodeType === 1) { // Element node
+                      detectElement(node, 'mutation');
+                      // Check <style> text added at runtime
+                      if (node.localName === 'style') {
+                        detectCSS(node.textContent, 'mutation', node);
+                      }
+                      // Observe shadow roots inside the added subtree
+                      observeShadowRoots(node);
+                      // Check child elements
+                      if (node.querySelectorAll) {
+                        try {
+                          node.querySelectorAll(elementURLs.selector).forEach((el) => {
+                            try {
+                              detectElement(el, 'mutation');
+                            } catch (e) {
+                              console.error('[DataURI Exporter] Element processing error:', e);
+                            }
+                          });
+                        } catch (e) {
+                          console.error('[DataURI Exporter] querySelectorAll error:', e);
+                        }
+                      }
+                    }
+                  } catch (e) {
+                    console.error('[DataURI Exporter] Node processing error:', e);
+                  }
+                });
+              } catch (e) {
+                console.error('[DataURI Exporter] Mutation processing error:', e);
+              }
+            });
+          } catch (e) {
+            console.error('[DataURI Exporter] Observer callback error:', e);
+          }
+        });
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Observer creation error:', e);
+    }
+    
+    // No attributeFilter: it would drop namespaced attributes (xlink:href),
+    // so attribute names are checked in the callback instead
+    const observerOptions = {
+      childList: true,
+      subtree: true,
+      attributes: true
+    };
+    
+    // Shadow roots seen so far, open and closed (read by collectDataURIs)
+    // A subtree observer on the document does not see inside shadow roots,
+    // so each root gets observed on its own
+    const shadowRoots = new Set();
+    window.__exporterShadowRoots = shadowRoots;
+    
+    function observeRoot(root) {
+      if (!root || shadowRoots.has(root)) {
+        return;
+      }
+      shadowRoots.add(root);
+      if (observer) {
+        try {
+          observer.observe(root, observerOptions);
+        } catch (e) {
+          console.error('[DataURI Exporter] Observer.observe shadow root error:', e);
+        }
+      }
+    }
+    
+    // Observe open shadow roots on an element and its descendants
+    // (declarative shadow DOM is attached by the parser, not attachShadow)
+    function observeShadowRoots(node) {
+      const visit = (el) => {
+        if (el.shadowRoot && !shadowRoots.has(el.shadowRoot)) {
+          observeRoot(el.shadowRoot);
+          observeShadowRoots(el.shadowRoot);
+        }
+      };
+      try {
+        visit(node);
+        node.querySelectorAll?.('*').forEach(visit);
+      } catch (e) {
+        console.error('[DataURI Exporter] observeShadowRoots error:', e);
+      }
+    }
+    
+    // Intercept attachShadow to catch every shadow root, including closed ones
+    try {
+      if (window.Element && Element.prototype.attachShadow) {
+        const originalAttachShadow = Element.prototype.attachShadow;
+        Element.prototype.attachShadow = function() {
+          const root = originalAttachShadow.apply(this, arguments);
+          observeRoot(root);
+          return root;
+        };
+      }
+    } catch (e) {
+      console.error('[DataURI Exporter] Failed to intercept attachShadow:', e);
+    }
+    
+    // Function to start observing
+    function startObserving() {
+      if (!observer) return;
+      try {
+        const targetNode = document.body || document.documentElement;
+        if (targetNode && targetNode.nodeType === 1) {
+          try {
+            observer.observe(targetNode, observerOptions);
+          } catch (e) {
+            console.error('[DataURI Exporter] Observer.observe error:', e);
+          }
+          observeShadowRoots(targetNode);
+        }
+      } catch (e) {
+        console.error('[DataURI Exporter] startObserving error:', e);
+      }
+    }
+    
+    // Start observing when DOM is ready
+    try {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', startObserving);
+      } else {
+        // DOM already loaded
+        startObserving();
+      }
+      
+      // Also try after a short delay to ensure document.body exists
+      setTimeout(startObserving, 100);
+    } catch (e) {
+      console.error('[DataURI Exporter] Observer setup error:', e);
+    }
+  } catch (e) {
+    console.error('[DataURI Exporter] Script injection error:', e);
+  }
+}
+
+// Collect all data URIs currently referenced by the document (page.evaluate)
+// Returns the data URIs, or with options.withElements
+// [{ dataURI, element }], element being the naming hints of the first
+// element found referencing it (null for stylesheets)
+function collectDataURIs(options = {}) {
+  // Data URI -> naming hints of its element
+  const results = new Map();
+  const addResult = (url, element) => {
+    if (!results.get(url)) {
+      results.set(url, element || null);
+    }
+  };
+  
+  // Extract every url(...) from a piece of CSS text
+  // Handles quoted and unquoted forms, several url()s per declaration and
+  // CSS escapes
+  const urlPattern = /url\(\s*(?:"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)'|([^)\s]*))\s*\)/gi;
+  function unescapeCSS(text) {
+    return text.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|\n|([\s\S]))/g, (match, hex, char) => {
+      if (hex) {
+        const code = parseInt(hex, 16);
+        // Invalid code points become U+FFFD, as in the CSS syntax spec
+        return code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF) ? '\uFFFD' : String.fromCodePoint(code);
+      }
+      return char || '';
+    });
+  }
+  // owner: element the CSS belongs to, checked against the DOM filter rules
+  // (selectorFilter) like any other element
+  function collectCSSURLs(cssText, owner) {
+    if (!cssText || !/url\(/i.test(cssText)) {
+      return;
+    }
+    const urls = Array.from(cssText.matchAll(urlPattern), match => unescapeCSS(match[1] ?? match[2] ?? match[3]));
+    if (window.__exporterElementAllowed && !window.__exporterElementAllowed(owner)) {
+      window.__exporterReportFilteredURLs(urls, 'scan');
+      return;
+    }
+    for (const url of urls) {
+      if (/^data:/i.test(url)) {
+        addResult(url, null);
+      } else if (url.startsWith('blob:') && window.__exporterDetectBlobURL) {
+        window.__exporterDetectBlobURL(url, 'scan');
+      }
+    }
+  }
+  
+  // Walk a stylesheet recursively: nested rules (@media, @supports, @layer,
+  // @container, @keyframes, CSS nesting), @import-ed sheets and every
+  // declaration, including @font-face src
+  // owner: element of the sheet (its <style> or <link>, the shadow host or
+  // the root element for adopted sheets); imported sheets share their parent's
+  const visitedSheets = new Set();
+  function collectSheet(sheet, owner) {
+    if (!sheet || visitedSheets.has(sheet)) {
+      return;
+    }
+    visitedSheets.add(sheet);
+    
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      console.error('[DataURI Exporter] Cannot access stylesheet (cross-origin?):', e);
+      return;
+    }
+    collectRules(rules, sheet.ownerNode || owner);
+  }
+  function collectRules(rules, owner) {
+    Array.from(rules || []).forEach((rule) => {
+      if (rule.style) {
+        collectCSSURLs(rule.style.cssText, owner);
+      }
+      if (rule.styleSheet) {
+        collectSheet(rule.styleSheet, owner);
+      }
+      if (rule.cssRules) {
+        collectRules(rule.cssRules, owner);
+      }
+    });
+  }
+  
+  // Collect the document and every shadow root below it, recursively
+  // Open roots are found through element.shadowRoot; closed roots are
+  // recorded by the injected script's attachShadow hook
+  const roots = [];
+  const visitedRoots = new Set();
+  function collectRoots(root) {
+    if (!root || visitedRoots.has(root)) {
+      return;
+    }
+    visitedRoots.add(root);
+    roots.push(root);
+    root.querySelectorAll('*').forEach((el) => {
+      if (el.shadowRoot) {
+        collectRoots(el.shadowRoot);
+      }
+    });
+  }
+  collectRoots(document);
+  (window.__exporterShadowRoots || []).forEach((root) => {
+    if (root.host && root.host.isConnected) {
+      collectRoots(root);
+    }
+  });
+  
+  // Frames are scanned separately (one page.evaluate per frame), so iframe
+  // documents are not entered here
+  roots.forEach((root) => {
+    // Find data URIs and blob: URLs in element attributes (src, srcset,
+    // poster, object data, SVG href, meta content, inline style, ...)
+    // using the injected script's extractor
+    const elementURLs = window.__exporterElementURLs;
+    if (elementURLs) {
+      root.querySelectorAll(elementURLs.selector).forEach((el) => {
+        // Elements outside the DOM filter rules (selectorFilter)
+        if (window.__exporterElementAllowed && !window.__exporterElementAllowed(el)) {
+          window.__exporterReportFilteredURLs(elementURLs(el), 'scan');
+          return;
+        }
+        const element = window.__exporterDescribeElement ? window.__exporterDescribeElement(el) : null;
+        elementURLs(el).forEach((url) => {
+          if (/^data:/i.test(url)) {
+            addResult(url, element);
+          } else if (url.startsWith('blob:') && window.__exporterDetectBlobURL) {
+            window.__exporterDetectBlobURL(url, 'scan', element);
+          }
+        });
+      });
+    }
+    
+    // Find data URIs in all stylesheets, including constructed (adopted) ones
+    const rootElement = root.host || root.documentElement;
+    Array.from(root.styleSheets || []).forEach(sheet => collectSheet(sheet, rootElement));
+    Array.from(root.adoptedStyleSheets || []).forEach(sheet => collectSheet(sheet, rootElement));
+    
+    // <style> text as written, for rules the CSSOM dropped or rewrote
+    root.querySelectorAll('style').forEach((style) => {
+      collectCSSURLs(style.textContent, style);
+    });
+  });
+  
+  // Note: Canvas scanning is disabled to avoid interfering with WebGL/WebGPU contexts
+  // Calling getContext('2d') or toDataURL() on WebGL canvases can break the WebGL context
+  // Canvases are captured instead by the canvas export hooks (--canvas) and by
+  // DataURIExporter.captureCanvases(), which screenshots each canvas element
+  
+  if (options.withElements) {
+    return Array.from(results, ([dataURI, element]) => ({ dataURI, element }));
+  }
+  return Array.from(results.keys());
+}
+
+module.exports = {
+  pageScript,
+  collectDataURIs,
+};
@@ -0,0 +1,342 @@
+const zlib = require('zlib');
+
+// ============================================================================
+// WebGL textures
+// Pixel data uploaded with texImage2D/texSubImage2D is converted to 8-bit
+// RGBA and written as PNG. Compressed texture data is kept as it is and
+// wrapped in a DDS (S3TC, RGTC, BPTC) or KTX (ETC, ASTC, PVRTC, ...) file.
+// ============================================================================
+
+// WebGL enums used here
+const GL = {
+  RED: 0x1903,
+  ALPHA: 0x1906,
+  RGB: 0x1907,
+  RGBA: 0x1908,
+  LUMINANCE: 0x1909,
+  LUMINANCE_ALPHA: 0x190A,
+  RG: 0x8227,
+  SRGB: 0x8C40,
+  SRGB_ALPHA: 0x8C42,
+  UNSIGNED_BYTE: 0x1401,
+  FLOAT: 0x1406,
+  HALF_FLOAT: 0x140B,
+  HALF_FLOAT_OES: 0x8D61,
+  UNSIGNED_SHORT_4_4_4_4: 0x8033,
+  UNSIGNED_SHORT_5_5_5_1: 0x8034,
+  UNSIGNED_SHORT_5_6_5: 0x8363,
+};
+
+// Components per pixel of the supported formats
+const formatComponents = {
+  [GL.ALPHA]: 1,
+  [GL.LUMINANCE]: 1,
+  [GL.RED]: 1,
+  [GL.LUMINANCE_ALPHA]: 2,
+  [GL.RG]: 2,
+  [GL.RGB]: 3,
+  [GL.SRGB]: 3,
+  [GL.RGBA]: 4,
+  [GL.SRGB_ALPHA]: 4,
+};
+
+// Bytes per component of the supported types
+const typeSizes = {
+  [GL.UNSIGNED_BYTE]: 1,
+  [GL.HALF_FLOAT]: 2,
+  [GL.HALF_FLOAT_OES]: 2,
+  [GL.FLOAT]: 4,
+};
+
+// Packed 16-bit types and the number of components they hold
+const packedTypes = {
+  [GL.UNSIGNED_SHORT_5_6_5]: 3,
+  [GL.UNSIGNED_SHORT_4_4_4_4]: 4,
+  [GL.UNSIGNED_SHORT_5_5_5_1]: 4,
+};
+
+// Bytes per pixel of a format/type pair, 0 if it is not supported
+// (the page script keeps its own copy of this table)
+function textureBytesPerPixel(format, type) {
+  const components = formatComponents[format];
+  if (!components) {
+    return 0;
+  }
+  if (packedTypes[type]) {
+    return packedTypes[type] === components ? 2 : 0;
+  }
+  return typeSizes[type] ? components * typeSizes[type] : 0;
+}
+
+// IEEE 754 half float to number
+function halfToFloat(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1F;
+  const fraction = half & 0x3FF;
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (fraction / 1024);
+  }
+  if (exponent === 0x1F) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+// Float component to a byte; values outside [0, 1] are clipped
+function floatToByte(value) {
+  if (!(value > 0)) return 0;
+  return value >= 1 ? 255 : Math.round(value * 255);
+}
+
+// Convert uploaded pixel data to 8-bit RGBA
+// texture: { width, height, format, type, stride }
+//   stride - bytes from one row to the next (UNPACK_ALIGNMENT, UNPACK_ROW_LENGTH)
+function textureToRGBA(texture, bytes) {
+  const { width, height, format, type } = texture;
+  const bytesPerPixel = textureBytesPerPixel(format, type);
+  if (!bytesPerPixel) {
+    throw new Error(`Unsupported texture format 0x${format.toString(16)} / type 0x${type.toString(16)}`);
+  }
+  const stride = texture.stride || width * bytesPerPixel;
+  if (bytes.length < stride * (height - 1) + width * bytesPerPixel) {
+    throw new Error(`Texture data too short: ${bytes.length} bytes for ${width}x${height}`);
+  }
+  
+  const componentSize = typeSizes[type];
+  const readComponent = type === GL.UNSIGNED_BYTE
+    ? (offset) => bytes[offset]
+    : type === GL.FLOAT
+      ? (offset) => floatToByte(bytes.readFloatLE(offset))
+      : (offset) => floatToByte(halfToFloat(bytes.readUInt16LE(offset)));
+  
+  const rgba = Buffer.alloc(width * height * 4);
+  const pixel = [0, 0, 0, 255];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = y * stride + x * bytesPerPixel;
+      
+      if (packedTypes[type]) {
+        const value = bytes.readUInt16LE(offset);
+        if (type === GL.UNSIGNED_SHORT_5_6_5) {
+          pixel[0] = Math.round(((value >> 11) & 0x1F) * 255 / 31);
+          pixel[1] = Math.round(((value >> 5) & 0x3F) * 255 / 63);
+          pixel[2] = Math.round((value & 0x1F) * 255 / 31);
+          pixel[3] = 255;
+        } else if (type === GL.UNSIGNED_SHORT_4_4_4_4) {
+          pixel[0] = ((value >> 12) & 0xF) * 17;
+          pixel[1] = ((value >> 8) & 0xF) * 17;
+          pixel[2] = ((value >> 4) & 0xF) * 17;
+          pixel[3] = (value & 0xF) * 17;
+        } else {
+          pixel[0] = Math.round(((value >> 11) & 0x1F) * 255 / 31);
+          pixel[1] = Math.round(((value >> 6) & 0x1F) * 255 / 31);
+          pixel[2] = Math.round(((value >> 1) & 0x1F) * 255 / 31);
+          pixel[3] = value & 1 ? 255 : 0;
+        }
+      } else {
+        const c0 = readComponent(offset);
+        switch (format) {
+          case GL.ALPHA:
+            pixel[0] = pixel[1] = pixel[2] = 0;
+            pixel[3] = c0;
+            break;
+          case GL.LUMINANCE:
+            pixel[0] = pixel[1] = pixel[2] = c0;
+            pixel[3] = 255;
+            break;
+          case GL.RED:
+            pixel[0] = c0;
+            pixel[1] = pixel[2] = 0;
+            pixel[3] = 255;
+            break;
+          case GL.LUMINANCE_ALPHA:
+            pixel[0] = pixel[1] = pixel[2] = c0;
+            pixel[3] = readComponent(offset + componentSize);
+            break;
+          case GL.RG:
+            pixel[0] = c0;
+            pixel[1] = readComponent(offset + componentSize);
+            pixel[2] = 0;
+            pixel[3] = 255;
+            break;
+          default:
+            // RGB, RGBA and their sRGB forms
+            pixel[0] = c0;
+            pixel[1] = readComponent(offset + componentSize);
+            pixel[2] = readComponent(offset + componentSize * 2);
+            pixel[3] = formatComponents[format] === 4 ? readComponent(offset + componentSize * 3) : 255;
+        }
+      }
+      
+      const target = (y * width + x) * 4;
+      rgba[target] = pixel[0];
+      rgba[target + 1] = pixel[1];
+      rgba[target + 2] = pixel[2];
+      rgba[target + 3] = pixel[3];
+    }
+  }
+  
+  return rgba;
+}
+
+// ============================================================================
+// PNG encoder (8-bit RGBA, no filtering)
+// ============================================================================
+
+const crcTable = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  crcTable[n] = c;
+}
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+function encodePNG(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+  
+  // Every row starts with its filter type (0 = none)
+  const rowSize = width * 4;
+  const raw = Buffer.alloc((rowSize + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (rowSize + 1) + 1, y * rowSize, (y + 1) * rowSize);
+  }
+  
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Encode uploaded pixel data as PNG
+// texture: { width, height, format, type, stride }
+function textureToPNG(texture, bytes) {
+  return encodePNG(texture.width, texture.height, textureToRGBA(texture, bytes));
+}
+
+// ============================================================================
+// Compressed texture containers
+// ============================================================================
+
+// Compressed formats stored as DDS: legacy FourCC, or DXGI format with the
+// DX10 header extension
+const ddsFormats = {
+  0x83F0: { fourCC: 'DXT1' }, // COMPRESSED_RGB_S3TC_DXT1_EXT
+  0x83F1: { fourCC: 'DXT1' }, // COMPRESSED_RGBA_S3TC_DXT1_EXT
+  0x83F2: { fourCC: 'DXT3' }, // COMPRESSED_RGBA_S3TC_DXT3_EXT
+  0x83F3: { fourCC: 'DXT5' }, // COMPRESSED_RGBA_S3TC_DXT5_EXT
+  0x8C4C: { dxgiFormat: 72 }, // COMPRESSED_SRGB_S3TC_DXT1_EXT -> BC1_UNORM_SRGB
+  0x8C4D: { dxgiFormat: 72 }, // COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT -> BC1_UNORM_SRGB
+  0x8C4E: { dxgiFormat: 75 }, // COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT -> BC2_UNORM_SRGB
+  0x8C4F: { dxgiFormat: 78 }, // COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT -> BC3_UNORM_SRGB
+  0x8DBB: { fourCC: 'BC4U' }, // COMPRESSED_RED_RGTC1_EXT
+  0x8DBC: { fourCC: 'BC4S' }, // COMPRESSED_SIGNED_RED_RGTC1_EXT
+  0x8DBD: { fourCC: 'BC5U' }, // COMPRESSED_RED_GREEN_RGTC2_EXT
+  0x8DBE: { fourCC: 'BC5S' }, // COMPRESSED_SIGNED_RED_GREEN_RGTC2_EXT
+  0x8E8C: { dxgiFormat: 98 }, // COMPRESSED_RGBA_BPTC_UNORM_EXT -> BC7_UNORM
+  0x8E8D: { dxgiFormat: 99 }, // COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT -> BC7_UNORM_SRGB
+  0x8E8E: { dxgiFormat: 96 }, // COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT -> BC6H_SF16
+  0x8E8F: { dxgiFormat: 95 }, // COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT -> BC6H_UF16
+};
+
+// Base internal format of compressed formats stored as KTX (RGBA if not listed)
+const ktxBaseFormats = {
+  0x8D64: GL.RGB, // COMPRESSED_RGB_ETC1_WEBGL
+  0x9270: GL.RED, // COMPRESSED_R11_EAC
+  0x9271: GL.RED, // COMPRESSED_SIGNED_R11_EAC
+  0x9272: GL.RG, // COMPRESSED_RG11_EAC
+  0x9273: GL.RG, // COMPRESSED_SIGNED_RG11_EAC
+  0x9274: GL.RGB, // COMPRESSED_RGB8_ETC2
+  0x9275: GL.RGB, // COMPRESSED_SRGB8_ETC2
+  0x8C00: GL.RGB, // COMPRESSED_RGB_PVRTC_4BPPV1_IMG
+  0x8C01: GL.RGB, // COMPRESSED_RGB_PVRTC_2BPPV1_IMG
+};
+
+function createDDS(width, height, internalFormat, data) {
+  const format = ddsFormats[internalFormat];
+  const dx10 = format.dxgiFormat !== undefined;
+  const header = Buffer.alloc(4 + 124 + (dx10 ? 20 : 0));
+  
+  header.write('DDS ', 0, 'latin1');
+  header.writeUInt32LE(124, 4); // header size
+  header.writeUInt32LE(0x1 | 0x2 | 0x4 | 0x1000 | 0x80000, 8); // CAPS | HEIGHT | WIDTH | PIXELFORMAT | LINEARSIZE
+  header.writeUInt32LE(height, 12);
+  header.writeUInt32LE(width, 16);
+  header.writeUInt32LE(data.length, 20); // linear size
+  // Pixel format
+  header.writeUInt32LE(32, 76);
+  header.writeUInt32LE(0x4, 80); // FOURCC
+  header.write(dx10 ? 'DX10' : format.fourCC, 84, 'latin1');
+  header.writeUInt32LE(0x1000, 108); // caps: TEXTURE
+  
+  if (dx10) {
+    header.writeUInt32LE(format.dxgiFormat, 128);
+    header.writeUInt32LE(3, 132); // resource dimension: TEXTURE2D
+    header.writeUInt32LE(1, 140); // array size
+  }
+  
+  return Buffer.concat([header, data]);
+}
+
+function createKTX(width, height, internalFormat, data) {
+  const header = Buffer.alloc(64 + 4);
+  Buffer.from([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]).copy(header, 0);
+  header.writeUInt32LE(0x04030201, 12); // endianness
+  header.writeUInt32LE(0, 16); // glType: compressed
+  header.writeUInt32LE(1, 20); // glTypeSize
+  header.writeUInt32LE(0, 24); // glFormat: compressed
+  header.writeUInt32LE(internalFormat, 28);
+  header.writeUInt32LE(ktxBaseFormats[internalFormat] || GL.RGBA, 32);
+  header.writeUInt32LE(width, 36);
+  header.writeUInt32LE(height, 40);
+  header.writeUInt32LE(0, 44); // depth
+  header.writeUInt32LE(0, 48); // array elements
+  header.writeUInt32LE(1, 52); // faces
+  header.writeUInt32LE(1, 56); // mipmap levels
+  header.writeUInt32LE(0, 60); // key/value data
+  header.writeUInt32LE(data.length, 64); // image size
+  
+  const padding = Buffer.alloc((4 - (data.length % 4)) % 4);
+  return Buffer.concat([header, data, padding]);
+}
+
+// Wrap compressed texture data in a DDS or KTX file
+// texture: { width, height, internalFormat }
+// Returns { buffer, extension, mimeType }
+function compressedTextureToFile(texture, data) {
+  if (ddsFormats[texture.internalFormat]) {
+    return { buffer: createDDS(texture.width, texture.height, texture.internalFormat, data), extension: 'dds', mimeType: 'image/vnd-ms.dds' };
+  }
+  return { buffer: createKTX(texture.width, texture.height, texture.internalFormat, data), extension: 'ktx', mimeType: 'image/ktx' };
+}
+
+module.exports = {
+  textureBytesPerPixel,
+  textureToRGBA,
+  textureToPNG,
+  encodePNG,
+  compressedTextureToFile,
+};